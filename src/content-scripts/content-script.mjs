@@ -1,8 +1,32 @@
 // Visited Link Marker - Content Script
 // Simple communication bridge between service worker and popup
+// Runs in every frame, including about:blank and srcdoc frames
+
+// Links are reported for recency shading and normalized visits in batches of this size, up to a limit per document
+const REPORTED_LINKS_BATCH_SIZE = 100;
+const MAX_REPORTED_LINKS = 2000;
+
+// Dispatched by shadow-root-hook.mjs when an open shadow root is attached
+const SHADOW_ROOT_EVENT = 'visited-links-marker:shadow-root';
 
 class ContentScript {
   constructor() {
+    // Page colors are only measured while the worker's settings use them
+    this.pageColorsNeeded = false;
+    this.reportedPageColors = null;
+    this.colorReportTimeout = null;
+    this.schemeObserver = null;
+    this.injectionTimeout = null;
+    this.domObserver = null;
+    // One constructable stylesheet shared by every open shadow root, created when the first is found
+    this.shadowSheet = null;
+    this.adoptedRoots = new WeakSet();
+    // Hrefs already sent to the worker, what it uses them for (null for nothing) and whether it wants more
+    this.reportedLinks = new Set();
+    this.linkReportKey = null;
+    this.linkReportsEnabled = false;
+    this.linkReportTimeout = null;
+    this.linkReporting = false;
     this.init();
   }
 
@@ -11,11 +35,39 @@ class ContentScript {
       // Setup message listener for service worker communication
       this.setupMessageListener();
       
-      // Request CSS injection immediately for real-time updates
+      // Request CSS injection immediately for real-time updates; the reply also says whether
+      // to tell the service worker if the page looks light or dark, what links sit on and
+      // which links the page has
       await this.requestCSSInjection();
       
       // Set up observer for dynamically loaded content
       this.setupDOMObserver();
+
+      // Document CSS doesn't reach into web components; style their open shadow roots directly
+      this.discoverShadowRoots(document.documentElement);
+      window.addEventListener('load', () => {
+        this.discoverShadowRoots(document.documentElement);
+      }, { once: true });
+
+      // Roots attached later to elements already in the page; the event is retargeted to the
+      // outermost host on its way out, so the element that got the root leads the composed path.
+      // Any page script can send the event, so only an element with an open shadow root is trusted.
+      window.addEventListener(SHADOW_ROOT_EVENT, (event) => {
+        const host = event.composedPath()[0];
+        if (!(host instanceof Element) || !(host.shadowRoot instanceof ShadowRoot)) {
+          return;
+        }
+        if (!this.adoptedRoots.has(host.shadowRoot)) {
+          this.adoptShadowRoot(host.shadowRoot);
+        }
+      }, true);
+
+      // Visit times change while the page sits in a background tab
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && this.linkReportKey !== null) {
+          this.resetLinkReports();
+        }
+      });
       
     } catch (error) {
       // Error initializing content script
@@ -24,7 +76,7 @@ class ContentScript {
 
   setupDOMObserver() {
     // Smart DOM observer - only triggers on actual link additions
-    const observer = new MutationObserver((mutations) => {
+    const observer = this.domObserver = new MutationObserver((mutations) => {
       let hasNewLinks = false;
       
       mutations.forEach((mutation) => {
@@ -32,6 +84,9 @@ class ContentScript {
           // Smart link detection - only check for actual links
           mutation.addedNodes.forEach((node) => {
             if (node.nodeType === Node.ELEMENT_NODE) {
+              // New web components bring their shadow roots along
+              this.discoverShadowRoots(node);
+
               // Only trigger if it's actually a link or contains links
               if (node.tagName === 'A' || 
                   (node.querySelector && node.querySelector('a'))) {
@@ -44,12 +99,14 @@ class ContentScript {
       
       // Request CSS injection immediately if new links were added
       if (hasNewLinks) {
-        this.requestCSSInjection();
+        this.scheduleCSSInjection();
+        this.scheduleColorReport();
+        this.scheduleLinkReport();
       }
     });
     
-    // Start observing with optimized settings
-    observer.observe(document.body, {
+    // Start observing with optimized settings (frameset and bare documents have no <body>)
+    observer.observe(document.body || document.documentElement, {
       childList: true,
       subtree: true,
       // Only observe direct children and their descendants
@@ -63,12 +120,204 @@ class ContentScript {
     });
   }
 
+  // Open shadow roots in and below node; roots nested inside other roots are found from adoptShadowRoot
+  discoverShadowRoots(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) {
+      return;
+    }
+
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+    for (let element = walker.currentNode; element; element = walker.nextNode()) {
+      if (element.shadowRoot && !this.adoptedRoots.has(element.shadowRoot)) {
+        this.adoptShadowRoot(element.shadowRoot);
+      }
+    }
+  }
+
+  adoptShadowRoot(root) {
+    this.adoptedRoots.add(root);
+
+    if (!this.shadowSheet) {
+      this.shadowSheet = new CSSStyleSheet();
+      this.refreshShadowStyles();
+    }
+    root.adoptedStyleSheets = [...root.adoptedStyleSheets, this.shadowSheet];
+
+    // Links and further shadow hosts added inside the root later
+    this.domObserver?.observe(root, { childList: true, subtree: true });
+    Array.from(root.children).forEach((child) => this.discoverShadowRoots(child));
+  }
+
+  // Updating the shared sheet restyles every adopted root at once
+  async refreshShadowStyles() {
+    if (!this.shadowSheet) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getShadowCSS' });
+      this.shadowSheet.replaceSync(response?.success && response.data ? response.data : '');
+    } catch (error) {
+      // Keep the current shadow styles
+    }
+  }
+
+  // Starts or stops measuring the page as the settings come to use it or stop
+  setPageColorsNeeded(needed) {
+    if (needed === this.pageColorsNeeded) {
+      return;
+    }
+
+    this.pageColorsNeeded = needed;
+    if (needed) {
+      // The worker may have forgotten an earlier report while it wasn't needed
+      this.reportedPageColors = null;
+      this.reportPageColors();
+      this.setupSchemeObserver();
+    } else {
+      clearTimeout(this.colorReportTimeout);
+      this.schemeObserver?.disconnect();
+    }
+  }
+
+  // Sites switch themes by changing classes, styles or data attributes on <html> or <body>
+  setupSchemeObserver() {
+    if (!this.schemeObserver) {
+      this.schemeObserver = new MutationObserver(() => {
+        this.scheduleColorReport();
+      });
+
+      window.addEventListener('beforeunload', () => {
+        this.schemeObserver.disconnect();
+      });
+    }
+
+    [document.documentElement, document.body].forEach((element) => {
+      if (element) {
+        this.schemeObserver.observe(element, {
+          attributes: true,
+          attributeFilter: ['class', 'style', 'data-theme', 'data-color-mode']
+        });
+      }
+    });
+  }
+
+  scheduleColorReport() {
+    if (!this.pageColorsNeeded) {
+      return;
+    }
+
+    clearTimeout(this.colorReportTimeout);
+    this.colorReportTimeout = setTimeout(() => this.reportPageColors(), 200);
+  }
+
+  async reportPageColors() {
+    if (!this.pageColorsNeeded) {
+      return;
+    }
+
+    const pageColors = {
+      scheme: this.detectPageScheme(),
+      linkBackground: this.detectLinkBackground()
+    };
+
+    // Only send when something changed; the service worker re-injects on changes it cares about
+    const key = JSON.stringify(pageColors);
+    if (key === this.reportedPageColors) {
+      return;
+    }
+
+    this.reportedPageColors = key;
+    try {
+      await chrome.runtime.sendMessage({ action: 'reportPageColors', ...pageColors });
+    } catch (error) {
+      // Service worker unavailable
+      return;
+    }
+
+    // Auto-contrast and darkness detection may have changed the colors
+    this.refreshShadowStyles();
+  }
+
+  // Most common background behind a sample of visible links, as #rrggbb
+  detectLinkBackground() {
+    const links = Array.from(document.querySelectorAll('a[href]'))
+      .filter((link) => link.getClientRects().length > 0);
+    if (links.length === 0) {
+      return null;
+    }
+
+    // Spread the sample over the page so one header or footer doesn't decide
+    const sampleSize = Math.min(links.length, 25);
+    const counts = new Map();
+    for (let i = 0; i < sampleSize; i++) {
+      const link = links[Math.floor(i * links.length / sampleSize)];
+      const background = this.toHex(this.getBackgroundBehind(link));
+      counts.set(background, (counts.get(background) || 0) + 1);
+    }
+
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  getBackgroundBehind(element) {
+    for (let current = element; current; current = current.parentElement) {
+      const color = this.parseColor(getComputedStyle(current).backgroundColor);
+      if (color && color.alpha > 0.5) {
+        return color;
+      }
+    }
+
+    // Nothing opaque: links sit on the browser canvas
+    return this.detectPageScheme() === 'dark'
+      ? { red: 18, green: 18, blue: 18, alpha: 1 }
+      : { red: 255, green: 255, blue: 255, alpha: 1 };
+  }
+
+  toHex({ red, green, blue }) {
+    return '#' + [red, green, blue].map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('');
+  }
+
+  detectPageScheme() {
+    // The first opaque background from <body> outwards is what links are drawn on
+    for (const element of [document.body, document.documentElement]) {
+      const color = element && this.parseColor(getComputedStyle(element).backgroundColor);
+      if (color && color.alpha > 0.5) {
+        return this.getLuminance(color) < 0.179 ? 'dark' : 'light';
+      }
+    }
+
+    // Transparent page: the canvas follows the page's color-scheme
+    const colorScheme = getComputedStyle(document.documentElement).colorScheme || '';
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    return colorScheme.includes('dark') && (prefersDark || !colorScheme.includes('light')) ? 'dark' : 'light';
+  }
+
+  parseColor(value) {
+    const match = /^rgba?\(([^)]+)\)$/.exec(value || '');
+    if (!match) {
+      return null;
+    }
+
+    const [red, green, blue, alpha = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { red, green, blue, alpha };
+  }
+
+  // WCAG relative luminance; below 0.179 white text contrasts better than black
+  getLuminance({ red, green, blue }) {
+    const [r, g, b] = [red, green, blue].map((channel) => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       switch (message.action) {
         case 'updateSettings':
           // Forward to service worker for CSS update
           this.requestCSSInjection();
+          this.refreshShadowStyles();
           sendResponse({ success: true });
           break;
         case 'ping':
@@ -81,30 +330,91 @@ class ContentScript {
     });
   }
 
-  async requestCSSInjection() {
+  // Sends the hrefs of links not reported yet; the worker styles them by when they were last visited
+  // and whether their normalized URL was visited.
+  // Raw href attributes are sent along with the resolved URL because the stylesheet matches on them.
+  async reportLinks() {
+    if (!this.linkReportsEnabled || this.linkReporting) {
+      return;
+    }
+    this.linkReporting = true;
+
     try {
-      // Get current tab ID from the content script context
-      const tabId = await this.getCurrentTabId();
-      if (tabId) {
-        await chrome.runtime.sendMessage({
-          action: 'injectCSS',
-          tabId: tabId
+      const links = new Map();
+      document.querySelectorAll('a[href]').forEach((link) => {
+        const href = link.getAttribute('href');
+        if (!this.reportedLinks.has(href) && !links.has(href) && /^https?:$/.test(link.protocol)) {
+          links.set(href, link.href);
+        }
+      });
+
+      const pending = [...links].slice(0, Math.max(0, MAX_REPORTED_LINKS - this.reportedLinks.size));
+      for (let start = 0; start < pending.length && this.linkReportsEnabled; start += REPORTED_LINKS_BATCH_SIZE) {
+        const batch = pending.slice(start, start + REPORTED_LINKS_BATCH_SIZE);
+        batch.forEach(([href]) => this.reportedLinks.add(href));
+
+        const response = await chrome.runtime.sendMessage({
+          action: 'reportLinks',
+          links: batch.map(([href, url]) => ({ href, url }))
         });
+        // Nothing uses the reports (or no history access): stay quiet until what they're for changes
+        this.linkReportsEnabled = Boolean(response?.success && response.data?.enabled);
       }
     } catch (error) {
-      // Error requesting CSS injection
+      // Try again with the next batch of new links
+    } finally {
+      this.linkReporting = false;
     }
   }
 
-  async getCurrentTabId() {
+  scheduleLinkReport() {
+    if (this.linkReportTimeout || !this.linkReportsEnabled) {
+      return;
+    }
+
+    this.linkReportTimeout = setTimeout(() => {
+      this.linkReportTimeout = null;
+      this.reportLinks();
+    }, 500);
+  }
+
+  // A new use for the reports and returning to the tab start a fresh report of every link
+  setLinkReportKey(key) {
+    if (key === this.linkReportKey) {
+      return;
+    }
+
+    this.linkReportKey = key;
+    this.resetLinkReports();
+  }
+
+  resetLinkReports() {
+    this.reportedLinks.clear();
+    this.linkReportsEnabled = this.linkReportKey !== null;
+    this.scheduleLinkReport();
+  }
+
+  // The service worker identifies this tab, frame and document from the message sender
+  async requestCSSInjection() {
     try {
-      // Use chrome.tabs.getCurrent() to get the current tab ID
-      const tab = await chrome.tabs.getCurrent();
-      return tab ? tab.id : null;
+      const response = await chrome.runtime.sendMessage({ action: 'injectCSS' });
+      this.setPageColorsNeeded(Boolean(response?.success && response.data?.pageColors));
+      this.setLinkReportKey(response?.success ? response.data?.linkReports ?? null : null);
     } catch (error) {
-      // Fallback: try to get tab ID from the sender
-      return null;
+      // Error requesting CSS injection
+    }
+  }
+
+  // Pages that add links in bursts only need one refresh per burst
+  scheduleCSSInjection() {
+    if (this.injectionTimeout) {
+      return;
     }
+
+    this.injectionTimeout = setTimeout(() => {
+      this.injectionTimeout = null;
+      this.requestCSSInjection();
+    }, 250);
   }
 }
 
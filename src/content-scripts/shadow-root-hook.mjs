@@ -0,0 +1,19 @@
+// Visited Link Marker - Shadow Root Hook
+// Runs in the page's own world from document_start: the content script can't see attachShadow
+// calls, so each host announces its new shadow root with an event the content script listens for.
+// Closed roots stay out of reach and are left alone.
+
+(() => {
+  const SHADOW_ROOT_EVENT = 'visited-links-marker:shadow-root';
+  const { attachShadow } = Element.prototype;
+
+  Element.prototype.attachShadow = {
+    attachShadow(init) {
+      const root = attachShadow.call(this, init);
+      if (init?.mode === 'open') {
+        this.dispatchEvent(new CustomEvent(SHADOW_ROOT_EVENT, { bubbles: true, composed: true }));
+      }
+      return root;
+    }
+  }.attachShadow;
+})();
@@ -0,0 +1,7 @@
+// Visited Link Marker - Style Loader
+// Registered by the service worker to run at document_start, so visited links are
+// styled before the page first paints; the worker injects into this exact frame
+
+chrome.runtime.sendMessage({ action: 'injectCSS' }).catch(() => {
+  // Service worker unavailable - the regular content script asks again later
+});
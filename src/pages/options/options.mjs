@@ -0,0 +1,1081 @@
+// Visited Link Marker - Options Page Functionality
+import { StorageManager, SettingsPatch, isSettingsStorageKey } from '../../utilities/storage-manager.mjs';
+import { SettingsPatchQueue } from '../../utilities/settings-patch-queue.mjs';
+import { ServiceWorkerMessenger } from '../../utilities/service-worker-messenger.mjs';
+import { isValidHexColor, parseLinkSelectors } from '../../utilities/validators.mjs';
+import { isValidSitePattern, normalizeSitePattern } from '../../utilities/site-patterns.mjs';
+import {
+  DESTINATION_TYPES,
+  MAX_DESTINATION_RULES,
+  needsDestinationValue,
+  normalizeDestinationValue,
+  isValidDestinationValue,
+  createDestinationRule,
+  describeDestination,
+  sortDestinationRules,
+  getNextDestinationOrder
+} from '../../utilities/destination-rules.mjs';
+import {
+  buildSettingsExport,
+  buildExportFileName,
+  parseSettingsImport,
+  applySettingsImport
+} from '../../utilities/settings-transfer.mjs';
+
+// Sort comparators for the rules table
+const RULE_SORTERS = {
+  'site-asc': (a, b) => a.site.localeCompare(b.site),
+  'site-desc': (a, b) => b.site.localeCompare(a.site),
+  'disabled-first': (a, b) => Number(a.enabled) - Number(b.enabled) || a.site.localeCompare(b.site),
+  'custom-color-first': (a, b) => Number(b.hasCustomColor) - Number(a.hasCustomColor) || a.site.localeCompare(b.site)
+};
+
+class OptionsController {
+  constructor() {
+    this.settings = null;
+    this.searchQuery = '';
+    this.sortOrder = 'site-asc';
+    this.selectedSites = new Set();
+    this.pendingImport = null;
+    // Active compatibility rule pack as reported by the service worker
+    this.compatPack = null;
+    this.patchQueue = new SettingsPatchQueue({
+      onError: () => this.showMessage('Failed to save settings', 'error')
+    });
+    this.messageTimeout = null;
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      // Load settings from storage
+      await this.loadSettings();
+
+      // Setup event listeners
+      this.setupEventListeners();
+
+      // Render the rules table
+      this.renderRules();
+      this.renderDestinationRules();
+
+      // Compatibility rules come from the rule pack the service worker loaded
+      await this.loadCompatRules();
+
+      // Show how much of the sync quota the rules use
+      await this.renderStorageUsage();
+
+    } catch (error) {
+      this.showMessage('Failed to load settings', 'error');
+    }
+  }
+
+  async loadSettings() {
+    // Settings come migrated from the service worker; failures surface through init()
+    this.settings = await StorageManager.getSettings();
+  }
+
+  setupEventListeners() {
+    // Add rule form
+    this.setupAddRuleListeners();
+
+    // Toolbar controls
+    this.setupToolbarListeners();
+
+    // Row controls (delegated so re-renders don't need rebinding)
+    this.setupRowListeners();
+
+    // Import / export controls
+    this.setupTransferListeners();
+
+    // Destination rules
+    this.setupDestinationListeners();
+
+    // Compatibility rule pack controls
+    this.setupCompatListeners();
+
+    // Keep the table in sync with changes made from the popup or other windows
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      this.handleStorageChange(changes, namespace);
+    });
+  }
+
+  setupAddRuleListeners() {
+    const form = document.getElementById('add-rule-form');
+    const useColor = document.getElementById('new-rule-use-color');
+    const colorPicker = document.getElementById('new-rule-color-picker');
+    const colorHex = document.getElementById('new-rule-color-hex');
+
+    if (useColor && colorPicker && colorHex) {
+      colorPicker.value = this.settings.visitedColor;
+      colorHex.value = this.settings.visitedColor;
+
+      useColor.addEventListener('change', (e) => {
+        colorPicker.disabled = !e.target.checked;
+        colorHex.disabled = !e.target.checked;
+      });
+
+      colorPicker.addEventListener('input', (e) => {
+        colorHex.value = e.target.value;
+      });
+
+      colorHex.addEventListener('input', (e) => {
+        if (isValidHexColor(e.target.value)) {
+          colorPicker.value = e.target.value;
+        }
+      });
+    }
+
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.addRule();
+      });
+    }
+  }
+
+  setupToolbarListeners() {
+    const searchInput = document.getElementById('rule-search');
+    if (searchInput) {
+      searchInput.addEventListener('input', (e) => {
+        this.searchQuery = e.target.value.trim().toLowerCase();
+        this.renderRules();
+      });
+    }
+
+    const sortSelect = document.getElementById('rule-sort');
+    if (sortSelect) {
+      sortSelect.addEventListener('change', (e) => {
+        this.sortOrder = e.target.value;
+        this.renderRules();
+      });
+    }
+
+    const selectAll = document.getElementById('select-all-rules');
+    if (selectAll) {
+      selectAll.addEventListener('change', (e) => {
+        const visibleSites = this.getVisibleRules().map((rule) => rule.site);
+        visibleSites.forEach((site) => {
+          if (e.target.checked) {
+            this.selectedSites.add(site);
+          } else {
+            this.selectedSites.delete(site);
+          }
+        });
+        this.renderRules();
+      });
+    }
+
+    const deleteSelected = document.getElementById('delete-selected-btn');
+    if (deleteSelected) {
+      deleteSelected.addEventListener('click', () => {
+        this.deleteRules([...this.selectedSites]);
+      });
+    }
+  }
+
+  setupRowListeners() {
+    const rulesBody = document.getElementById('rules-body');
+    if (!rulesBody) {
+      return;
+    }
+
+    rulesBody.addEventListener('change', (e) => {
+      const site = e.target.closest('.rule-row')?.dataset.site;
+      if (!site) {
+        return;
+      }
+
+      if (e.target.classList.contains('rule-select')) {
+        if (e.target.checked) {
+          this.selectedSites.add(site);
+        } else {
+          this.selectedSites.delete(site);
+        }
+        this.updateSelectionControls();
+      } else if (e.target.classList.contains('rule-enabled')) {
+        this.updateRule(site, 'enabled', e.target.checked);
+      } else if (e.target.classList.contains('rule-use-color')) {
+        if (e.target.checked) {
+          this.updateRule(site, 'visitedColor', this.settings.visitedColor);
+        } else {
+          this.removeRuleSetting(site, 'visitedColor');
+        }
+        this.renderRules();
+      } else if (e.target.classList.contains('rule-selectors')) {
+        this.updateRuleSelectors(site, e.target);
+      }
+    });
+
+    rulesBody.addEventListener('input', (e) => {
+      const row = e.target.closest('.rule-row');
+      const site = row?.dataset.site;
+      if (!site) {
+        return;
+      }
+
+      if (e.target.classList.contains('rule-color-picker')) {
+        row.querySelector('.rule-color-hex').value = e.target.value;
+        this.updateRule(site, 'visitedColor', e.target.value);
+      } else if (e.target.classList.contains('rule-color-hex') && isValidHexColor(e.target.value)) {
+        row.querySelector('.rule-color-picker').value = e.target.value;
+        this.updateRule(site, 'visitedColor', e.target.value);
+      }
+    });
+
+    rulesBody.addEventListener('click', (e) => {
+      if (e.target.classList.contains('rule-delete')) {
+        const site = e.target.closest('.rule-row')?.dataset.site;
+        if (site) {
+          this.deleteRules([site]);
+        }
+      }
+    });
+  }
+
+  setupDestinationListeners() {
+    const form = document.getElementById('add-destination-form');
+    const typeSelect = document.getElementById('new-destination-type');
+    const valueInput = document.getElementById('new-destination-value');
+    const colorPicker = document.getElementById('new-destination-color-picker');
+    const colorHex = document.getElementById('new-destination-color-hex');
+
+    if (typeSelect && valueInput) {
+      typeSelect.replaceChildren(...DESTINATION_TYPES.map(({ type, label }) => new Option(label, type)));
+
+      const updateValueInput = () => {
+        const { placeholder } = DESTINATION_TYPES.find(({ type }) => type === typeSelect.value);
+        valueInput.disabled = !needsDestinationValue(typeSelect.value);
+        valueInput.placeholder = placeholder;
+        if (valueInput.disabled) {
+          valueInput.value = '';
+        }
+      };
+      typeSelect.addEventListener('change', updateValueInput);
+      updateValueInput();
+    }
+
+    if (colorPicker && colorHex) {
+      colorPicker.value = this.settings.visitedColor;
+      colorHex.value = this.settings.visitedColor;
+
+      colorPicker.addEventListener('input', (e) => {
+        colorHex.value = e.target.value;
+      });
+
+      colorHex.addEventListener('input', (e) => {
+        if (isValidHexColor(e.target.value)) {
+          colorPicker.value = e.target.value;
+        }
+      });
+    }
+
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.addDestinationRule();
+      });
+    }
+
+    const destinationBody = document.getElementById('destination-body');
+    if (!destinationBody) {
+      return;
+    }
+
+    destinationBody.addEventListener('change', (e) => {
+      const id = e.target.closest('.destination-row')?.dataset.ruleId;
+      if (id && e.target.classList.contains('destination-enabled')) {
+        this.updateDestinationRule(id, { enabled: e.target.checked }, true);
+      }
+    });
+
+    destinationBody.addEventListener('input', (e) => {
+      const row = e.target.closest('.destination-row');
+      const id = row?.dataset.ruleId;
+      if (!id) {
+        return;
+      }
+
+      if (e.target.classList.contains('destination-color-picker')) {
+        row.querySelector('.destination-color-hex').value = e.target.value;
+        this.updateDestinationRule(id, { visitedColor: e.target.value }, false);
+      } else if (e.target.classList.contains('destination-color-hex') && isValidHexColor(e.target.value)) {
+        row.querySelector('.destination-color-picker').value = e.target.value;
+        this.updateDestinationRule(id, { visitedColor: e.target.value }, false);
+      }
+    });
+
+    destinationBody.addEventListener('click', (e) => {
+      const id = e.target.closest('.destination-row')?.dataset.ruleId;
+      if (!id) {
+        return;
+      }
+
+      if (e.target.classList.contains('destination-up')) {
+        this.moveDestinationRule(id, -1);
+      } else if (e.target.classList.contains('destination-down')) {
+        this.moveDestinationRule(id, 1);
+      } else if (e.target.classList.contains('destination-delete')) {
+        this.deleteDestinationRule(id);
+      }
+    });
+  }
+
+  setupCompatListeners() {
+    const importButton = document.getElementById('import-compat-btn');
+    const fileInput = document.getElementById('compat-file-input');
+    if (importButton && fileInput) {
+      importButton.addEventListener('click', () => {
+        fileInput.click();
+      });
+
+      fileInput.addEventListener('change', (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (file) {
+          this.importCompatPack(file);
+        }
+      });
+    }
+
+    const resetButton = document.getElementById('reset-compat-btn');
+    if (resetButton) {
+      resetButton.addEventListener('click', () => {
+        this.resetCompatPack();
+      });
+    }
+
+    const compatBody = document.getElementById('compat-body');
+    if (!compatBody) {
+      return;
+    }
+
+    compatBody.addEventListener('change', (e) => {
+      const id = e.target.closest('.compat-row')?.dataset.ruleId;
+      const rule = this.compatPack?.rules.find((candidate) => candidate.id === id);
+      if (!rule) {
+        return;
+      }
+
+      // Values matching the pack are not stored, so later pack updates still reach them
+      if (e.target.classList.contains('compat-enabled')) {
+        this.updateCompatOverride(id, 'enabled', e.target.checked ? undefined : false);
+      } else if (e.target.classList.contains('compat-boost')) {
+        const boost = Number(e.target.value);
+        this.updateCompatOverride(id, 'boost', boost === rule.boost ? undefined : boost);
+      } else if (e.target.classList.contains('compat-selectors')) {
+        const { selectors, error } = parseLinkSelectors(e.target.value);
+        e.target.classList.toggle('invalid', Boolean(error) || selectors.length === 0);
+        if (error || selectors.length === 0) {
+          this.showMessage(`${id}: ${error || 'Enter at least one selector'}`, 'error');
+          return;
+        }
+        const unchanged = JSON.stringify(selectors) === JSON.stringify(rule.selectors);
+        this.updateCompatOverride(id, 'selectors', unchanged ? undefined : selectors);
+      }
+    });
+
+    compatBody.addEventListener('click', (e) => {
+      if (e.target.classList.contains('compat-reset')) {
+        const id = e.target.closest('.compat-row')?.dataset.ruleId;
+        if (id) {
+          this.resetCompatOverride(id);
+        }
+      }
+    });
+  }
+
+  setupTransferListeners() {
+    const exportButton = document.getElementById('export-settings-btn');
+    if (exportButton) {
+      exportButton.addEventListener('click', () => {
+        this.exportSettings();
+      });
+    }
+
+    const importButton = document.getElementById('import-settings-btn');
+    const fileInput = document.getElementById('import-file-input');
+    if (importButton && fileInput) {
+      importButton.addEventListener('click', () => {
+        fileInput.click();
+      });
+
+      fileInput.addEventListener('change', async (e) => {
+        const [file] = e.target.files;
+        if (file) {
+          await this.readImportFile(file);
+        }
+        // Allow picking the same file again
+        e.target.value = '';
+      });
+    }
+
+    const mergeButton = document.getElementById('import-merge-btn');
+    if (mergeButton) {
+      mergeButton.addEventListener('click', () => {
+        this.applyImport('merge');
+      });
+    }
+
+    const replaceButton = document.getElementById('import-replace-btn');
+    if (replaceButton) {
+      replaceButton.addEventListener('click', () => {
+        this.applyImport('replace');
+      });
+    }
+
+    const cancelButton = document.getElementById('import-cancel-btn');
+    if (cancelButton) {
+      cancelButton.addEventListener('click', () => {
+        this.hideImportPreview();
+      });
+    }
+  }
+
+  getRules() {
+    return Object.entries(this.settings.siteSettings || {}).map(([site, siteSettings]) => ({
+      site,
+      enabled: siteSettings.enabled !== false,
+      hasCustomColor: siteSettings.visitedColor !== undefined,
+      visitedColor: siteSettings.visitedColor,
+      linkSelectors: siteSettings.linkSelectors || []
+    }));
+  }
+
+  getVisibleRules() {
+    const sorter = RULE_SORTERS[this.sortOrder] || RULE_SORTERS['site-asc'];
+    return this.getRules()
+      .filter((rule) => !this.searchQuery || rule.site.toLowerCase().includes(this.searchQuery))
+      .sort(sorter);
+  }
+
+  renderRules() {
+    const rulesBody = document.getElementById('rules-body');
+    const template = document.getElementById('rule-row-template');
+    const emptyState = document.getElementById('rules-empty');
+    const ruleCount = document.getElementById('rule-count');
+    if (!rulesBody || !template) {
+      return;
+    }
+
+    const allRules = this.getRules();
+    const visibleRules = this.getVisibleRules();
+
+    // Drop selections for rules that no longer exist
+    const existingSites = new Set(allRules.map((rule) => rule.site));
+    this.selectedSites.forEach((site) => {
+      if (!existingSites.has(site)) {
+        this.selectedSites.delete(site);
+      }
+    });
+
+    const rows = visibleRules.map((rule) => {
+      const row = template.content.firstElementChild.cloneNode(true);
+      const color = rule.hasCustomColor ? rule.visitedColor : this.settings.visitedColor;
+
+      row.dataset.site = rule.site;
+      row.querySelector('.rule-site').textContent = rule.site;
+      row.querySelector('.rule-select').checked = this.selectedSites.has(rule.site);
+      row.querySelector('.rule-enabled').checked = rule.enabled;
+      row.querySelector('.rule-use-color').checked = rule.hasCustomColor;
+      row.querySelector('.rule-color-picker').value = color;
+      row.querySelector('.rule-color-hex').value = color;
+      row.querySelector('.color-controls').classList.toggle('hidden', !rule.hasCustomColor);
+      row.querySelector('.rule-selectors').value = rule.linkSelectors.join('\n');
+
+      return row;
+    });
+
+    rulesBody.replaceChildren(...rows);
+
+    if (emptyState) {
+      emptyState.textContent = allRules.length === 0
+        ? 'No site rules yet. Add one above or use the popup on any site.'
+        : 'No site rules match your search.';
+      emptyState.classList.toggle('hidden', visibleRules.length > 0);
+    }
+
+    if (ruleCount) {
+      ruleCount.textContent = `${allRules.length} ${allRules.length === 1 ? 'rule' : 'rules'}`;
+    }
+
+    this.updateSelectionControls();
+  }
+
+  async renderStorageUsage() {
+    const meter = document.getElementById('storage-usage-meter');
+    const summary = document.getElementById('storage-usage-summary');
+    const warning = document.getElementById('storage-usage-warning');
+    if (!meter || !summary || !warning) {
+      return;
+    }
+
+    try {
+      const usage = await StorageManager.getStorageUsage();
+      const usedKB = (usage.syncBytesInUse / 1024).toFixed(1);
+      const quotaKB = Math.round(usage.syncQuotaBytes / 1024);
+
+      meter.max = usage.syncQuotaBytes;
+      meter.value = usage.syncBytesInUse;
+      summary.textContent = `Sync storage: ${usedKB} KB of ${quotaKB} KB used · ${usage.syncedRules} synced ${usage.syncedRules === 1 ? 'rule' : 'rules'}`;
+
+      warning.textContent = `${usage.localRules} ${usage.localRules === 1 ? 'rule is' : 'rules are'} stored on this device only because sync storage is full`;
+      warning.classList.toggle('hidden', usage.localRules === 0);
+    } catch (error) {
+      summary.textContent = 'Storage usage unavailable';
+    }
+  }
+
+  updateSelectionControls() {
+    const visibleSites = this.getVisibleRules().map((rule) => rule.site);
+    const selectedVisible = visibleSites.filter((site) => this.selectedSites.has(site));
+
+    const selectAll = document.getElementById('select-all-rules');
+    if (selectAll) {
+      selectAll.checked = visibleSites.length > 0 && selectedVisible.length === visibleSites.length;
+      selectAll.indeterminate = selectedVisible.length > 0 && selectedVisible.length < visibleSites.length;
+    }
+
+    const deleteSelected = document.getElementById('delete-selected-btn');
+    if (deleteSelected) {
+      deleteSelected.disabled = this.selectedSites.size === 0;
+      deleteSelected.textContent = this.selectedSites.size > 0
+        ? `Delete selected (${this.selectedSites.size})`
+        : 'Delete selected';
+    }
+  }
+
+  async addRule() {
+    const siteInput = document.getElementById('new-rule-site');
+    const enabledInput = document.getElementById('new-rule-enabled');
+    const useColor = document.getElementById('new-rule-use-color');
+    const colorHex = document.getElementById('new-rule-color-hex');
+
+    const site = normalizeSitePattern(siteInput?.value);
+    if (!isValidSitePattern(site)) {
+      this.showMessage('Enter a hostname (example.com), domain (*.example.com), path (example.com/path/*) or /regex/', 'error');
+      return;
+    }
+
+    if (this.settings.siteSettings[site]) {
+      this.showMessage(`A rule for ${site} already exists`, 'error');
+      return;
+    }
+
+    // Always store "enabled" so the new rule exists even without a custom color
+    const rule = { enabled: !enabledInput || enabledInput.checked };
+    if (useColor?.checked) {
+      if (!isValidHexColor(colorHex?.value)) {
+        this.showMessage('Enter a valid hex color such as #551a8b', 'error');
+        return;
+      }
+      rule.visitedColor = colorHex.value;
+    }
+
+    this.settings.siteSettings[site] = rule;
+    await this.saveChanges(
+      Object.entries(rule).map(([key, value]) => SettingsPatch.setSite(site, key, value)),
+      true
+    );
+
+    if (siteInput) {
+      siteInput.value = '';
+    }
+    this.renderRules();
+    this.showMessage(`Added rule for ${site}`, 'success');
+  }
+
+  async updateRule(site, key, value) {
+    if (!this.settings.siteSettings[site]) {
+      this.settings.siteSettings[site] = {};
+    }
+
+    this.settings.siteSettings[site][key] = value;
+
+    // Debounce color changes like the popup does, save toggles immediately
+    await this.saveChanges([SettingsPatch.setSite(site, key, value)], key === 'enabled');
+  }
+
+  // Invalid selector lists are kept in the field for fixing instead of being saved
+  async updateRuleSelectors(site, input) {
+    const { selectors, error } = parseLinkSelectors(input.value);
+    input.classList.toggle('invalid', Boolean(error));
+    if (error) {
+      this.showMessage(`${site}: ${error}`, 'error');
+      return;
+    }
+
+    input.value = selectors.join('\n');
+    if (selectors.length > 0) {
+      await this.updateRule(site, 'linkSelectors', selectors);
+    } else {
+      await this.removeRuleSetting(site, 'linkSelectors');
+    }
+  }
+
+  async addDestinationRule() {
+    const typeSelect = document.getElementById('new-destination-type');
+    const valueInput = document.getElementById('new-destination-value');
+    const colorHex = document.getElementById('new-destination-color-hex');
+    const rules = this.settings.destinationRules || [];
+
+    const type = typeSelect?.value;
+    const value = normalizeDestinationValue(type, valueInput?.value);
+    if (!isValidDestinationValue(type, value)) {
+      this.showMessage(type === 'host'
+        ? 'Enter a hostname such as github.com'
+        : 'Enter a URL prefix starting with http:// or https://', 'error');
+      return;
+    }
+
+    if (!isValidHexColor(colorHex?.value)) {
+      this.showMessage('Enter a valid hex color such as #551a8b', 'error');
+      return;
+    }
+
+    if (rules.length >= MAX_DESTINATION_RULES) {
+      this.showMessage(`At most ${MAX_DESTINATION_RULES} destination rules are supported`, 'error');
+      return;
+    }
+
+    if (rules.some((rule) => rule.type === type && rule.value === value)) {
+      this.showMessage('That destination already has a rule', 'error');
+      return;
+    }
+
+    const rule = createDestinationRule(type, value, colorHex.value, getNextDestinationOrder(rules));
+    const { id, ...fields } = rule;
+    await this.saveDestinationRules(
+      [...rules, rule],
+      Object.entries(fields).map(([field, fieldValue]) => SettingsPatch.setDestination(id, field, fieldValue)),
+      true
+    );
+
+    if (valueInput) {
+      valueInput.value = '';
+    }
+    this.showMessage(`Added rule for ${describeDestination(rule)}`, 'success');
+  }
+
+  async updateDestinationRule(id, updates, immediate) {
+    const rules = (this.settings.destinationRules || []).map((rule) => (rule.id === id ? { ...rule, ...updates } : rule));
+    const changes = Object.entries(updates).map(([field, value]) => SettingsPatch.setDestination(id, field, value));
+    // Color edits keep the row as is; re-rendering would steal focus from the hex field
+    await this.saveDestinationRules(rules, changes, immediate, immediate);
+  }
+
+  // Moving a rule swaps its order with its neighbour's, leaving the other rules untouched
+  async moveDestinationRule(id, offset) {
+    const rules = this.settings.destinationRules || [];
+    const index = rules.findIndex((rule) => rule.id === id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= rules.length) {
+      return;
+    }
+
+    const moved = { ...rules[index], order: rules[target].order };
+    const displaced = { ...rules[target], order: rules[index].order };
+    await this.saveDestinationRules(
+      rules.map((rule) => (rule.id === moved.id ? moved : rule.id === displaced.id ? displaced : rule)),
+      [
+        SettingsPatch.setDestination(moved.id, 'order', moved.order),
+        SettingsPatch.setDestination(displaced.id, 'order', displaced.order)
+      ],
+      true
+    );
+  }
+
+  async deleteDestinationRule(id) {
+    const rules = this.settings.destinationRules || [];
+    const rule = rules.find((candidate) => candidate.id === id);
+    if (!rule) {
+      return;
+    }
+
+    await this.saveDestinationRules(
+      rules.filter((candidate) => candidate.id !== id),
+      [SettingsPatch.removeDestination(id)],
+      true
+    );
+    this.showMessage(`Deleted rule for ${describeDestination(rule)}`, 'success');
+  }
+
+  // Each rule is saved on its own, so edits to different rules on other devices are kept
+  async saveDestinationRules(rules, changes, immediate, render = true) {
+    this.settings.destinationRules = sortDestinationRules(rules);
+    if (render) {
+      this.renderDestinationRules();
+    }
+    await this.saveChanges(changes, immediate);
+  }
+
+  renderDestinationRules() {
+    const destinationBody = document.getElementById('destination-body');
+    const template = document.getElementById('destination-row-template');
+    const emptyState = document.getElementById('destination-empty');
+    if (!destinationBody || !template) {
+      return;
+    }
+
+    const rules = this.settings.destinationRules || [];
+    const rows = rules.map((rule, index) => {
+      const row = template.content.firstElementChild.cloneNode(true);
+
+      row.dataset.ruleId = rule.id;
+      row.querySelector('.destination-label').textContent = describeDestination(rule);
+      row.querySelector('.destination-enabled').checked = rule.enabled;
+      row.querySelector('.destination-color-picker').value = rule.visitedColor;
+      row.querySelector('.destination-color-hex').value = rule.visitedColor;
+      row.querySelector('.destination-up').disabled = index === 0;
+      row.querySelector('.destination-down').disabled = index === rules.length - 1;
+
+      return row;
+    });
+
+    destinationBody.replaceChildren(...rows);
+    emptyState?.classList.toggle('hidden', rules.length > 0);
+  }
+
+  // undefined removes the field from the rule's override; an override left empty is removed whole
+  async updateCompatOverride(id, field, value) {
+    const overrides = { ...(this.settings.compatRuleOverrides || {}) };
+    const override = { ...(overrides[id] || {}) };
+    if (value === undefined) {
+      delete override[field];
+    } else {
+      override[field] = value;
+    }
+
+    if (Object.keys(override).length > 0) {
+      overrides[id] = override;
+    } else {
+      delete overrides[id];
+    }
+
+    const change = value === undefined
+      ? SettingsPatch.removeCompatOverrideField(id, field)
+      : SettingsPatch.setCompatOverride(id, field, value);
+    await this.saveCompatOverrides(overrides, [change]);
+  }
+
+  async resetCompatOverride(id) {
+    const overrides = { ...(this.settings.compatRuleOverrides || {}) };
+    delete overrides[id];
+    await this.saveCompatOverrides(overrides, [SettingsPatch.removeCompatOverride(id)]);
+    this.showMessage(`Reset ${id} to the rule pack values`, 'success');
+  }
+
+  // Each field is saved on its own, so edits to other rules on other devices are kept
+  async saveCompatOverrides(overrides, changes) {
+    this.settings.compatRuleOverrides = overrides;
+    await this.saveChanges(changes, true);
+    this.renderCompatRules();
+  }
+
+  async loadCompatRules() {
+    try {
+      this.compatPack = await ServiceWorkerMessenger.send('getCompatRules');
+    } catch (error) {
+      this.compatPack = null;
+    }
+    this.renderCompatRules();
+  }
+
+  renderCompatRules() {
+    const compatBody = document.getElementById('compat-body');
+    const template = document.getElementById('compat-row-template');
+    const emptyState = document.getElementById('compat-empty');
+    const versionLabel = document.getElementById('compat-pack-version');
+    const resetButton = document.getElementById('reset-compat-btn');
+    if (!compatBody || !template) {
+      return;
+    }
+
+    const rules = this.compatPack?.rules || [];
+    const overrides = this.settings.compatRuleOverrides || {};
+
+    const rows = rules.map((rule) => {
+      const row = template.content.firstElementChild.cloneNode(true);
+      const override = overrides[rule.id] || {};
+      const effective = { ...rule, ...override };
+
+      row.dataset.ruleId = rule.id;
+      row.classList.toggle('overridden', Object.keys(override).length > 0);
+      row.querySelector('.compat-name').textContent = rule.id;
+      row.querySelector('.compat-description').textContent = rule.description;
+      row.querySelector('.compat-sites').textContent = rule.sites.join(', ');
+      row.querySelector('.compat-enabled').checked = effective.enabled !== false;
+      row.querySelector('.compat-selectors').value = effective.selectors.join('\n');
+      row.querySelector('.compat-boost').value = String(effective.boost);
+
+      return row;
+    });
+
+    compatBody.replaceChildren(...rows);
+    emptyState?.classList.toggle('hidden', rules.length > 0);
+
+    if (versionLabel) {
+      versionLabel.textContent = this.compatPack?.version
+        ? `Rule pack v${this.compatPack.version}${this.compatPack.imported ? ' (imported)' : ' (built-in)'}`
+        : 'No rule pack';
+    }
+    resetButton?.classList.toggle('hidden', !this.compatPack?.imported);
+  }
+
+  async importCompatPack(file) {
+    let pack;
+    try {
+      pack = JSON.parse(await file.text());
+    } catch (error) {
+      this.showCompatErrors([`${file.name} is not valid JSON`]);
+      return;
+    }
+
+    try {
+      const result = await ServiceWorkerMessenger.send('importCompatRules', { pack });
+      this.showCompatErrors(result.errors);
+      if (result.imported) {
+        await this.loadCompatRules();
+        this.showMessage(`Imported rule pack v${result.version} with ${result.ruleCount} ${result.ruleCount === 1 ? 'rule' : 'rules'}`, 'success');
+      }
+    } catch (error) {
+      this.showMessage('Failed to import the rule pack', 'error');
+    }
+  }
+
+  async resetCompatPack() {
+    try {
+      await ServiceWorkerMessenger.send('resetCompatRules');
+      this.showCompatErrors([]);
+      await this.loadCompatRules();
+      this.showMessage('Using the built-in rule pack', 'success');
+    } catch (error) {
+      this.showMessage('Failed to restore the built-in rule pack', 'error');
+    }
+  }
+
+  showCompatErrors(errors) {
+    const errorList = document.getElementById('compat-errors');
+    if (!errorList) {
+      return;
+    }
+
+    errorList.replaceChildren(...errors.map((error) => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      return item;
+    }));
+    errorList.classList.toggle('hidden', errors.length === 0);
+  }
+
+  async removeRuleSetting(site, key) {
+    if (this.settings.siteSettings[site]) {
+      delete this.settings.siteSettings[site][key];
+      await this.saveChanges([SettingsPatch.removeSiteField(site, key)], true);
+    }
+  }
+
+  async deleteRules(sites) {
+    if (sites.length === 0) {
+      return;
+    }
+
+    sites.forEach((site) => {
+      delete this.settings.siteSettings[site];
+      this.selectedSites.delete(site);
+    });
+
+    await this.saveChanges(sites.map((site) => SettingsPatch.removeSite(site)), true);
+    this.renderRules();
+    this.showMessage(`Deleted ${sites.length} ${sites.length === 1 ? 'rule' : 'rules'}`, 'success');
+  }
+
+  // Sends only the edited fields so concurrent edits from the popup or other devices survive
+  async saveChanges(changes, immediate) {
+    changes.forEach((change) => this.patchQueue.queue(change));
+
+    if (immediate) {
+      const saved = await this.patchQueue.flush();
+      if (saved) {
+        await this.renderStorageUsage();
+      }
+    }
+  }
+
+  // Whole-object write; the service worker diffs it into field changes
+  async persistSettings() {
+    try {
+      await this.patchQueue.flush();
+      const saved = await StorageManager.setSettings(this.settings);
+      if (!saved) {
+        throw new Error('Storage write failed');
+      }
+
+      await this.renderStorageUsage();
+    } catch (error) {
+      this.showMessage('Failed to save settings', 'error');
+    }
+  }
+
+  exportSettings() {
+    const blob = new Blob([buildSettingsExport(this.settings)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = buildExportFileName();
+    link.click();
+
+    // The download starts after the click returns, so the URL has to outlive it
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async readImportFile(file) {
+    try {
+      const { settings, errors } = parseSettingsImport(await file.text());
+      this.pendingImport = settings;
+      this.showImportPreview(file.name, settings, errors);
+    } catch (error) {
+      this.pendingImport = null;
+      this.showMessage('Failed to read the selected file', 'error');
+    }
+  }
+
+  showImportPreview(fileName, settings, errors) {
+    const preview = document.getElementById('import-preview');
+    const summary = document.getElementById('import-summary');
+    const errorList = document.getElementById('import-errors');
+    const mergeButton = document.getElementById('import-merge-btn');
+    const replaceButton = document.getElementById('import-replace-btn');
+    if (!preview || !summary || !errorList) {
+      return;
+    }
+
+    if (settings) {
+      const ruleCount = Object.keys(settings.siteSettings || {}).length;
+      const parts = [`${ruleCount} site ${ruleCount === 1 ? 'rule' : 'rules'}`];
+      if (settings.visitedColor) {
+        parts.push(`global color ${settings.visitedColor}`);
+      }
+      if (settings.enabled !== undefined) {
+        parts.push(settings.enabled ? 'extension enabled' : 'extension disabled');
+      }
+      summary.textContent = `${fileName}: ${parts.join(', ')}`;
+    } else {
+      summary.textContent = `${fileName} cannot be imported`;
+    }
+
+    const items = errors.map((error) => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      return item;
+    });
+    errorList.replaceChildren(...items);
+    errorList.classList.toggle('hidden', items.length === 0);
+
+    if (mergeButton && replaceButton) {
+      mergeButton.disabled = !settings;
+      replaceButton.disabled = !settings;
+    }
+
+    preview.classList.remove('hidden');
+  }
+
+  hideImportPreview() {
+    this.pendingImport = null;
+    document.getElementById('import-preview')?.classList.add('hidden');
+  }
+
+  async applyImport(mode) {
+    if (!this.pendingImport) {
+      return;
+    }
+
+    const defaultSettings = await StorageManager.getDefaultSettings();
+    const { settings, errors } = applySettingsImport(this.settings, this.pendingImport, mode, defaultSettings);
+    this.settings = settings;
+    this.selectedSites.clear();
+    this.hideImportPreview();
+
+    await this.persistSettings();
+    this.renderRules();
+    this.renderDestinationRules();
+    this.renderCompatRules();
+    const message = mode === 'replace' ? 'Settings replaced from file' : 'Settings merged from file';
+    if (errors.length > 0) {
+      this.showMessage(`${message}, but ${errors.join('; ')}`, 'error');
+    } else {
+      this.showMessage(message, 'success');
+    }
+  }
+
+  async handleStorageChange(changes, namespace) {
+    const settingsChanged = Object.keys(changes).some((key) => isSettingsStorageKey(key));
+    if ((namespace !== 'sync' && namespace !== 'local') || !settingsChanged || this.patchQueue.hasPending()) {
+      return;
+    }
+
+    // Re-read through the service worker so settings from older devices arrive migrated
+    try {
+      const newSettings = await StorageManager.getSettings();
+      if (JSON.stringify(newSettings) !== JSON.stringify(this.settings)) {
+        this.settings = newSettings;
+        this.renderRules();
+        this.renderDestinationRules();
+        this.renderCompatRules();
+      }
+
+      await this.renderStorageUsage();
+    } catch (error) {
+      // Keep showing the last known settings
+    }
+  }
+
+  showMessage(message, type = 'success') {
+    const messageElement = document.getElementById('options-message');
+    if (!messageElement) {
+      return;
+    }
+
+    if (this.messageTimeout) {
+      clearTimeout(this.messageTimeout);
+    }
+
+    messageElement.textContent = message;
+    messageElement.className = `options-message ${type}`;
+
+    this.messageTimeout = setTimeout(() => {
+      messageElement.classList.add('hidden');
+      this.messageTimeout = null;
+    }, 4000);
+  }
+
+  // Cleanup method to clear timeouts
+  destroy() {
+    if (this.patchQueue.hasPending()) {
+      this.patchQueue.flush();
+    }
+    this.patchQueue.destroy();
+    if (this.messageTimeout) {
+      clearTimeout(this.messageTimeout);
+      this.messageTimeout = null;
+    }
+  }
+}
+
+// Initialize options page when DOM is ready
+let optionsController;
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    optionsController = new OptionsController();
+  });
+} else {
+  optionsController = new OptionsController();
+}
+
+// Cleanup when options page is closed
+window.addEventListener('beforeunload', () => {
+  if (optionsController) {
+    optionsController.destroy();
+  }
+});
@@ -1,12 +1,81 @@
 // Visited Link Marker - Popup Functionality
-import { StorageManager, DEFAULT_SETTINGS } from '../../utilities/storage-manager.mjs';
+import {
+  StorageManager,
+  SettingsPatch,
+  INCOGNITO_SETTINGS_KEY,
+  isSettingsStorageKey
+} from '../../utilities/storage-manager.mjs';
+import { SettingsPatchQueue } from '../../utilities/settings-patch-queue.mjs';
+import { ServiceWorkerMessenger } from '../../utilities/service-worker-messenger.mjs';
+import { isValidHexColor, parseLinkSelectors } from '../../utilities/validators.mjs';
+import { buildScopeCandidates } from '../../utilities/site-patterns.mjs';
+import { VISITED_STYLE_PROPERTIES } from '../../utilities/visited-style.mjs';
+import { NORMALIZATION_OPTIONS, parseStripParams } from '../../utilities/url-normalization.mjs';
+import {
+  MAX_PROFILES,
+  MAX_PROFILE_NAME_LENGTH,
+  applyActiveProfile,
+  createProfile,
+  duplicateProfile,
+  isProfileStyleField,
+  isValidProfileName,
+  setProfileSiteField
+} from '../../utilities/profiles.mjs';
+import { SCHEDULE_DAYS, SNOOZES_KEY, SNOOZE_OPTIONS, describePause } from '../../utilities/schedule.mjs';
+import {
+  INCOGNITO_GLOBAL_FIELDS,
+  INCOGNITO_POLICIES,
+  INCOGNITO_SITE_FIELDS,
+  applyIncognitoSettings
+} from '../../utilities/incognito.mjs';
+
+// Unvisited links use the same off / custom (/ global) row as the style properties
+const UNVISITED_PROPERTY = {
+  field: 'unvisitedColor',
+  label: 'Unvisited Links',
+  description: 'Color for links not visited yet'
+};
+
+// Recency tiers, matching the service worker's, and how much each can fade toward the background
+const RECENCY_TIERS = [
+  { label: 'Visited Today', description: 'Within the last day' },
+  { label: 'This Week', description: '1 to 7 days ago' },
+  { label: 'This Month', description: '7 to 30 days ago' },
+  { label: 'Older', description: 'More than 30 days ago' }
+];
+const RECENCY_FADE_OPTIONS = [0, 20, 40, 60, 80];
+
+// Choices offered for each visited style property
+const STYLE_MODES = {
+  global: [['off', 'Off'], ['custom', 'Custom']],
+  site: [['inherit', 'Global'], ['off', 'Off'], ['custom', 'Custom']]
+};
 
 class PopupController {
   constructor() {
-    this.settings = { ...DEFAULT_SETTINGS };
+    this.settings = null;
     this.currentSite = null;
+    this.currentUrl = null;
+    this.currentTabId = null;
+    this.isIncognito = false;
+    this.incognitoSettings = null;
+    this.pauseState = null;
+    this.scopeCandidates = [];
+    this.matchingRules = [];
+    this.ruleKey = null;
+    this.styleRows = { global: new Map(), site: new Map() };
+    this.normalizationControls = {};
+    this.profileNameMode = null;
     this.isInitialized = false;
-    this.storageUpdateTimeout = null;
+    this.patchQueue = new SettingsPatchQueue({
+      onError: () => this.showError('Failed to save settings')
+    });
+    // Incognito-only edits go to local storage through their own queue
+    this.incognitoPatchQueue = new SettingsPatchQueue({
+      save: (changes) => StorageManager.patchIncognitoSettings(changes),
+      onError: () => this.showError('Failed to save settings')
+    });
+    this.messageTimeout = null;
 
     this.init();
   }
@@ -19,6 +88,15 @@ class PopupController {
       // Get current site information
       await this.getCurrentSiteInfo();
 
+      // Incognito windows may have colors and site rules of their own
+      await this.loadIncognitoSettings();
+
+      // Work out which site rule the popup edits
+      await this.loadMatchingRules();
+
+      // Whether a snooze or the schedule pauses marking here
+      await this.loadPauseState();
+
       // Initialize UI elements
       this.initializeUI();
 
@@ -36,11 +114,8 @@ class PopupController {
   }
 
   async loadSettings() {
-    try {
-      this.settings = await StorageManager.getSettings();
-    } catch (error) {
-      this.settings = { ...DEFAULT_SETTINGS };
-    }
+    // Settings come migrated from the service worker; failures surface through init()
+    this.settings = await StorageManager.getSettings();
   }
 
   async getCurrentSiteInfo() {
@@ -48,7 +123,11 @@ class PopupController {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (tab && tab.url) {
         const url = new URL(tab.url);
+        this.currentUrl = tab.url;
+        this.currentTabId = tab.id;
+        this.isIncognito = Boolean(tab.incognito);
         this.currentSite = url.hostname;
+        this.scopeCandidates = buildScopeCandidates(tab.url);
         this.updateSiteDisplay();
       }
     } catch (error) {
@@ -56,6 +135,50 @@ class PopupController {
     }
   }
 
+  async loadMatchingRules() {
+    try {
+      if (this.currentUrl) {
+        const siteRules = await ServiceWorkerMessenger.send('getSiteRules', {
+          url: this.currentUrl,
+          incognito: this.isIncognito
+        });
+        this.matchingRules = siteRules.matches;
+      }
+    } catch (error) {
+      this.matchingRules = [];
+    }
+
+    // Edit the most specific existing rule the popup can offer, else this host
+    const candidatePatterns = this.scopeCandidates.map((candidate) => candidate.pattern);
+    const existingMatch = this.matchingRules.find((match) => candidatePatterns.includes(match.pattern));
+    this.ruleKey = existingMatch ? existingMatch.pattern : candidatePatterns[0] || null;
+  }
+
+  async loadIncognitoSettings() {
+    if (!this.isIncognito) {
+      return;
+    }
+
+    try {
+      this.incognitoSettings = await StorageManager.getIncognitoSettings();
+    } catch (error) {
+      this.incognitoSettings = null;
+    }
+  }
+
+  // Whether this popup edits the incognito-only colors and site rules
+  usesIncognitoSettings() {
+    return this.isIncognito && this.settings.incognitoPolicy === 'separate' && Boolean(this.incognitoSettings);
+  }
+
+  async loadPauseState() {
+    try {
+      this.pauseState = await ServiceWorkerMessenger.send('getPauseState', { url: this.currentUrl });
+    } catch (error) {
+      this.pauseState = null;
+    }
+  }
+
   updateSiteDisplay() {
     const siteNameElement = document.getElementById('site-name');
     if (siteNameElement && this.currentSite) {
@@ -64,17 +187,56 @@ class PopupController {
   }
 
   initializeUI() {
+    // Incognito policy, for incognito windows
+    this.createIncognitoPolicyOptions();
+
+    // Profile switcher
+    this.renderProfiles();
+
+    // Build a row per visited style property, plus the unvisited link color
+    this.createStyleRows('global', 'global-style-rows');
+    this.createStyleRows('site', 'site-style-rows');
+    this.createStyleRows('global', 'global-unvisited-rows', [UNVISITED_PROPERTY]);
+    this.createStyleRows('site', 'site-unvisited-rows', [UNVISITED_PROPERTY]);
+    this.createRecencyRows();
+    this.createNormalizationControls('global', 'global-normalization');
+    this.createNormalizationControls('site', 'site-normalization');
+    this.createSnoozeOptions();
+    this.createScheduleDays();
+
     // Initialize global settings
     this.initializeGlobalSettings();
     
+    // Initialize rule scope selector
+    this.initializeScopeSelector();
+
     // Initialize site-specific settings
     this.initializeSiteSettings();
     
+    // Snooze controls reflect the current pause
+    this.updateSnoozeControls();
+
     // Update status indicator
     this.updateStatusIndicator();
   }
 
+  // Settings as the active profile (and separate incognito settings) show them; style controls read from this
+  getStyleView() {
+    const view = applyActiveProfile(this.settings);
+    return this.usesIncognitoSettings() ? applyIncognitoSettings(view, this.incognitoSettings) : view;
+  }
+
+  getActiveProfile() {
+    const { profiles = {}, activeProfile } = this.settings;
+    return activeProfile && Object.hasOwn(profiles, activeProfile) ? profiles[activeProfile] : null;
+  }
+
   initializeGlobalSettings() {
+    const view = this.getStyleView();
+
+    // Incognito policy and which controls it leaves shared
+    this.updateIncognitoControls();
+
     // Global toggle
     const globalToggle = document.getElementById('global-toggle');
     if (globalToggle) {
@@ -85,15 +247,425 @@ class PopupController {
     const globalColorPicker = document.getElementById('global-color-picker');
     const globalColorHex = document.getElementById('global-color-hex');
     if (globalColorPicker && globalColorHex) {
-      globalColorPicker.value = this.settings.visitedColor;
-      globalColorHex.value = this.settings.visitedColor;
+      globalColorPicker.value = view.visitedColor;
+      globalColorHex.value = view.visitedColor;
+    }
+
+    // Global dark mode color picker
+    const globalDarkColorPicker = document.getElementById('global-dark-color-picker');
+    const globalDarkColorHex = document.getElementById('global-dark-color-hex');
+    if (globalDarkColorPicker && globalDarkColorHex) {
+      globalDarkColorPicker.value = view.visitedColorDark;
+      globalDarkColorHex.value = view.visitedColorDark;
+    }
+
+    // Toolbar color swatch toggle
+    const badgeSwatchToggle = document.getElementById('badge-swatch-toggle');
+    if (badgeSwatchToggle) {
+      badgeSwatchToggle.checked = this.settings.badgeColorSwatch;
+    }
+
+    // Page darkness detection toggle
+    const detectDarknessToggle = document.getElementById('detect-darkness-toggle');
+    if (detectDarknessToggle) {
+      detectDarknessToggle.checked = this.settings.detectPageDarkness;
+    }
+
+    // Auto contrast toggle and target
+    const autoContrastToggle = document.getElementById('auto-contrast-toggle');
+    const contrastRatioSelect = document.getElementById('contrast-ratio-select');
+    const contrastRatioRow = document.getElementById('contrast-ratio-row');
+    if (autoContrastToggle && contrastRatioSelect && contrastRatioRow) {
+      autoContrastToggle.checked = this.settings.autoContrast;
+      this.ensureContrastOption(contrastRatioSelect, this.settings.contrastRatio);
+      contrastRatioSelect.value = String(this.settings.contrastRatio);
+      contrastRatioRow.style.display = this.settings.autoContrast ? 'flex' : 'none';
+    }
+
+    // Recency shading toggle and per-tier fades
+    const recencyToggle = document.getElementById('recency-toggle');
+    if (recencyToggle) {
+      recencyToggle.checked = this.settings.recencyShading;
+    }
+    this.updateRecencyRows();
+
+    // Normalized visits toggle and the URL variant rules
+    const normalizedVisitsToggle = document.getElementById('normalized-visits-toggle');
+    if (normalizedVisitsToggle) {
+      normalizedVisitsToggle.checked = this.settings.normalizedVisits;
+    }
+    this.updateNormalizedVisitsWarning();
+    this.updateNormalizationControls('global', this.settings.normalization);
+
+    // Recurring schedule
+    this.updateScheduleControls();
+
+    // Global visited style
+    this.updateStyleRows('global', view);
+  }
+
+  createIncognitoPolicyOptions() {
+    const group = document.getElementById('incognito-settings');
+    const select = document.getElementById('incognito-policy');
+    if (!group || !select) {
+      return;
+    }
+
+    group.classList.toggle('hidden', !this.isIncognito);
+    select.replaceChildren(...INCOGNITO_POLICIES.map(({ policy, label }) => new Option(label, policy)));
+  }
+
+  updateIncognitoControls() {
+    const select = document.getElementById('incognito-policy');
+    const subtitle = document.getElementById('incognito-subtitle');
+    const sharedRows = document.getElementById('site-shared-rows');
+    if (!select || !subtitle || !sharedRows) {
+      return;
+    }
+
+    const separate = this.usesIncognitoSettings();
+    select.value = this.settings.incognitoPolicy;
+    subtitle.textContent = separate
+      ? 'Colors and site settings below only apply to incognito windows'
+      : 'Sites visited here are never saved; choose separate settings for incognito site rules';
+    sharedRows.classList.toggle('hidden', separate);
+  }
+
+  // The site rules shown depend on the policy, so the popup re-reads them after switching
+  async setIncognitoPolicy(policy) {
+    try {
+      this.settings.incognitoPolicy = policy;
+      await this.patchQueue.queue(SettingsPatch.setGlobal('incognitoPolicy', policy), { immediate: true });
+      await this.loadMatchingRules();
+      this.initializeScopeSelector();
+      this.initializeGlobalSettings();
+      this.initializeSiteSettings();
+      this.updateStatusIndicator();
+    } catch (error) {
+      this.showError('Failed to save setting');
+    }
+  }
+
+  // Keeps the local copy in step, then saves through the incognito queue
+  async updateIncognitoSetting(change) {
+    const { siteSettings } = this.incognitoSettings;
+    if (change.type === 'setGlobal') {
+      this.incognitoSettings[change.field] = change.value;
+    } else if (change.type === 'setSite') {
+      siteSettings[change.site] = { ...siteSettings[change.site], [change.field]: change.value };
+    } else if (siteSettings[change.site]) {
+      delete siteSettings[change.site][change.field];
+    }
+
+    await this.incognitoPatchQueue.queue(change, { immediate: typeof change.value !== 'string' });
+  }
+
+  createSnoozeOptions() {
+    ['global', 'site'].forEach((scope) => {
+      const select = document.getElementById(`${scope}-snooze-select`);
+      if (select) {
+        select.replaceChildren(
+          new Option('Pause…', ''),
+          ...SNOOZE_OPTIONS.map(({ duration, label }) => new Option(label, duration))
+        );
+      }
+    });
+  }
+
+  // A running snooze swaps its menu for a Resume button
+  updateSnoozeControls() {
+    const pauseState = this.pauseState || { paused: false };
+    ['global', 'site'].forEach((scope) => {
+      const select = document.getElementById(`${scope}-snooze-select`);
+      const resumeButton = document.getElementById(`${scope}-resume-btn`);
+      const description = document.getElementById(`${scope}-snooze-description`);
+      if (!select || !resumeButton || !description) {
+        return;
+      }
+
+      const isSnoozed = pauseState.paused && pauseState.reason === scope;
+      select.value = '';
+      select.classList.toggle('hidden', isSnoozed);
+      select.disabled = scope === 'site' && !this.getRuleKey();
+      resumeButton.classList.toggle('hidden', !isSnoozed);
+      description.textContent = isSnoozed ? describePause(pauseState) : 'Marking resumes by itself';
+    });
+  }
+
+  async snooze(scope, duration) {
+    try {
+      await ServiceWorkerMessenger.send('snooze', {
+        scope,
+        site: scope === 'site' ? this.getRuleKey() : null,
+        duration,
+        tabId: this.currentTabId
+      });
+    } catch (error) {
+      this.showError('Failed to pause marking');
     }
+    await this.refreshPauseState();
+  }
+
+  async resumeSnooze(scope) {
+    try {
+      // A site snooze may be on a broader rule than the one being edited
+      const site = scope === 'site' ? this.pauseState?.pattern : null;
+      await ServiceWorkerMessenger.send('resumeSnooze', { scope, site });
+    } catch (error) {
+      this.showError('Failed to resume marking');
+    }
+    await this.refreshPauseState();
+  }
+
+  async refreshPauseState() {
+    await this.loadPauseState();
+    this.updateSnoozeControls();
+    this.updateStatusIndicator();
+  }
+
+  createScheduleDays() {
+    const container = document.getElementById('schedule-days');
+    if (!container) {
+      return;
+    }
+
+    this.scheduleDayCheckboxes = SCHEDULE_DAYS.map(({ day, label }) => {
+      const chip = document.createElement('label');
+      chip.className = 'day-chip';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = String(day);
+      const text = document.createElement('span');
+      text.textContent = label;
+      chip.append(checkbox, text);
+      container.appendChild(chip);
+      return checkbox;
+    });
+  }
+
+  updateScheduleControls() {
+    const { schedule } = this.settings;
+    const scheduleToggle = document.getElementById('schedule-toggle');
+    const scheduleRows = document.getElementById('schedule-rows');
+    const startInput = document.getElementById('schedule-start');
+    const endInput = document.getElementById('schedule-end');
+    if (!scheduleToggle || !scheduleRows || !startInput || !endInput) {
+      return;
+    }
+
+    scheduleToggle.checked = schedule.enabled;
+    scheduleRows.style.display = schedule.enabled ? 'block' : 'none';
+    startInput.value = schedule.start;
+    endInput.value = schedule.end;
+    (this.scheduleDayCheckboxes || []).forEach((checkbox) => {
+      checkbox.checked = schedule.days.includes(Number(checkbox.value));
+    });
+  }
+
+  // Saved right away so the pause state shown matches the new schedule
+  async updateSchedule(changes) {
+    try {
+      this.settings.schedule = { ...this.settings.schedule, ...changes };
+      this.updateScheduleControls();
+      await this.patchQueue.queue(SettingsPatch.setGlobal('schedule', this.settings.schedule), { immediate: true });
+    } catch (error) {
+      this.showError('Failed to save schedule');
+    }
+    await this.refreshPauseState();
+  }
+
+  createRecencyRows() {
+    const container = document.getElementById('recency-rows');
+    if (!container) {
+      return;
+    }
+
+    this.recencySelects = RECENCY_TIERS.map(({ label, description }, tier) => {
+      const row = document.createElement('div');
+      row.className = 'setting-item';
+
+      const labelColumn = document.createElement('div');
+      labelColumn.className = 'setting-label';
+      const labelElement = document.createElement('label');
+      labelElement.htmlFor = `recency-fade-${tier}`;
+      labelElement.textContent = label;
+      const descriptionElement = document.createElement('span');
+      descriptionElement.className = 'setting-description';
+      descriptionElement.textContent = description;
+      labelColumn.append(labelElement, descriptionElement);
+
+      const select = document.createElement('select');
+      select.id = `recency-fade-${tier}`;
+      select.className = 'scope-select';
+      select.append(...RECENCY_FADE_OPTIONS.map((fade) => new Option(fade === 0 ? 'No fade' : `Fade ${fade}%`, String(fade))));
+
+      row.append(labelColumn, select);
+      container.appendChild(row);
+      return select;
+    });
+  }
+
+  updateRecencyRows() {
+    const container = document.getElementById('recency-rows');
+    if (!container || !this.recencySelects) {
+      return;
+    }
+
+    container.style.display = this.settings.recencyShading ? 'block' : 'none';
+    this.recencySelects.forEach((select, tier) => {
+      const fade = String(this.settings.recencyFades[tier]);
+      // Imported settings may use a fade that isn't one of the presets
+      if (!Array.from(select.options).some((option) => option.value === fade)) {
+        select.appendChild(new Option(`Fade ${fade}%`, fade));
+      }
+      select.value = fade;
+    });
+  }
+
+  // Pages can read normalized visit marks through computed styles, so the mode says so while it is on
+  updateNormalizedVisitsWarning() {
+    document.getElementById('normalized-visits-warning')?.classList.toggle('hidden', !this.settings.normalizedVisits);
+  }
+
+  // History access is requested when shading is turned on; the request has to start while the click
+  // still counts as a user gesture. The setting is saved without waiting for the answer because the
+  // prompt can close the popup, and the worker picks the permission up whenever it is granted.
+  async setRecencyShading(enabled) {
+    const permissionRequest = enabled
+      ? chrome.permissions.request({ permissions: ['history'] }).catch(() => false)
+      : null;
+
+    this.settings.recencyShading = enabled;
+    this.updateRecencyRows();
+    await this.updateGlobalSetting('recencyShading', enabled);
+
+    if (permissionRequest && !(await permissionRequest)) {
+      document.getElementById('recency-toggle').checked = false;
+      this.showError('History access is needed to fade older visits');
+      this.settings.recencyShading = false;
+      this.updateRecencyRows();
+      await this.updateGlobalSetting('recencyShading', false);
+    }
+  }
+
+  createNormalizationControls(scope, containerId) {
+    const container = document.getElementById(containerId);
+    const template = document.getElementById('normalization-template');
+    const optionTemplate = document.getElementById('normalization-option-template');
+    if (!container || !template || !optionTemplate) {
+      return;
+    }
+
+    const controls = template.content.firstElementChild.cloneNode(true);
+    const options = new Map(NORMALIZATION_OPTIONS.map(({ field, label }) => {
+      const row = optionTemplate.content.firstElementChild.cloneNode(true);
+      row.querySelector('.checkbox-title').textContent = label;
+      controls.querySelector('.normalization-options').appendChild(row);
+      return [field, row.querySelector('.normalization-option')];
+    }));
 
+    container.appendChild(controls);
+    this.normalizationControls[scope] = {
+      params: controls.querySelector('.normalization-params'),
+      error: controls.querySelector('.normalization-error'),
+      options
+    };
+  }
+
+  updateNormalizationControls(scope, normalization) {
+    const controls = this.normalizationControls[scope];
+    if (!controls) {
+      return;
+    }
+
+    controls.params.value = normalization.stripParams.join('\n');
+    controls.options.forEach((checkbox, field) => {
+      checkbox.checked = normalization[field];
+    });
+    this.showNormalizationError(scope, null);
+  }
+
+  showNormalizationError(scope, message) {
+    const controls = this.normalizationControls[scope];
+    if (controls) {
+      controls.params.classList.toggle('invalid', Boolean(message));
+      controls.error.textContent = message || '';
+      controls.error.classList.toggle('hidden', !message);
+    }
+  }
+
+  // The whole rule set is saved together; nothing is saved while a parameter name is invalid
+  readNormalizationControls(scope) {
+    const controls = this.normalizationControls[scope];
+    const { params, error } = parseStripParams(controls.params.value);
+    this.showNormalizationError(scope, error);
+    if (error) {
+      return null;
+    }
+
+    return {
+      stripParams: params,
+      ...Object.fromEntries([...controls.options].map(([field, checkbox]) => [field, checkbox.checked]))
+    };
+  }
+
+  // Imported settings may use a ratio that isn't one of the presets
+  ensureContrastOption(select, ratio) {
+    const value = String(ratio);
+    if (!Array.from(select.options).some((option) => option.value === value)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = `${value}:1`;
+      select.appendChild(option);
+    }
+  }
+
+  initializeScopeSelector() {
+    const scopeSelect = document.getElementById('rule-scope');
+    if (!scopeSelect) {
+      return;
+    }
+
+    const options = this.scopeCandidates.map((candidate) => {
+      const option = document.createElement('option');
+      option.value = candidate.pattern;
+      option.textContent = `${candidate.label} (${candidate.pattern})`;
+      return option;
+    });
+
+    scopeSelect.replaceChildren(...options);
+    scopeSelect.disabled = options.length === 0;
+    if (this.ruleKey) {
+      scopeSelect.value = this.ruleKey;
+    }
+
+    this.updateScopeDescription();
+  }
+
+  updateScopeDescription() {
+    const description = document.getElementById('rule-scope-description');
+    if (!description) {
+      return;
+    }
+
+    // Mention other rules that also affect this page
+    const otherPatterns = this.matchingRules
+      .map((match) => match.pattern)
+      .filter((pattern) => pattern !== this.ruleKey);
+
+    description.textContent = otherPatterns.length > 0
+      ? `Also matched: ${otherPatterns.join(', ')}`
+      : 'Where these settings take effect';
   }
 
   initializeSiteSettings() {
-    const currentSite = this.getCurrentSite();
-    const siteSettings = this.settings.siteSettings?.[currentSite] || {};
+    const ruleKey = this.getRuleKey();
+    const siteGroup = document.getElementById('site-settings');
+    if (siteGroup) {
+      siteGroup.classList.toggle('hidden', !ruleKey);
+    }
+    const view = this.getStyleView();
+    const siteSettings = view.siteSettings?.[ruleKey] || {};
 
     // Site toggle
     const siteToggle = document.getElementById('site-toggle');
@@ -104,10 +676,12 @@ class PopupController {
     // Use custom color toggle
     const useCustomColor = document.getElementById('use-custom-color');
     const siteColorRow = document.getElementById('site-color-row');
-    if (useCustomColor && siteColorRow) {
+    const siteDarkColorRow = document.getElementById('site-dark-color-row');
+    if (useCustomColor && siteColorRow && siteDarkColorRow) {
       const hasCustomColor = siteSettings.visitedColor !== undefined;
       useCustomColor.checked = hasCustomColor;
       siteColorRow.style.display = hasCustomColor ? 'flex' : 'none';
+      siteDarkColorRow.style.display = hasCustomColor ? 'flex' : 'none';
     }
 
     // Site color picker
@@ -120,31 +694,173 @@ class PopupController {
         siteColorHex.value = siteSettings.visitedColor;
       } else {
         // Uses global color
-        siteColorPicker.value = this.settings.visitedColor;
-        siteColorHex.value = this.settings.visitedColor;
+        siteColorPicker.value = view.visitedColor;
+        siteColorHex.value = view.visitedColor;
       }
     }
 
+    // Site dark mode color picker - falls back to the site color like the service worker does
+    const siteDarkColorPicker = document.getElementById('site-dark-color-picker');
+    const siteDarkColorHex = document.getElementById('site-dark-color-hex');
+    if (siteDarkColorPicker && siteDarkColorHex) {
+      const darkColor = siteSettings.visitedColorDark || siteSettings.visitedColor || view.visitedColorDark;
+      siteDarkColorPicker.value = darkColor;
+      siteDarkColorHex.value = darkColor;
+    }
+
+    // Site visited style
+    this.updateStyleRows('site', siteSettings);
+
+    // Extra link selectors, one per line
+    const linkSelectorsInput = document.getElementById('site-link-selectors');
+    if (linkSelectorsInput) {
+      linkSelectorsInput.value = (siteSettings.linkSelectors || []).join('\n');
+      this.showLinkSelectorsError(null);
+    }
+
+    // URL variant rules - the site's own, or the global ones until it has some
+    const normalizationCustom = document.getElementById('site-normalization-custom');
+    const siteNormalization = document.getElementById('site-normalization');
+    if (normalizationCustom && siteNormalization) {
+      normalizationCustom.checked = siteSettings.normalization !== undefined;
+      siteNormalization.style.display = normalizationCustom.checked ? 'block' : 'none';
+      this.updateNormalizationControls('site', siteSettings.normalization || this.settings.normalization);
+    }
   }
 
-  getCurrentSite() {
-    if (this.currentSite === 'local-file') {
-      return 'local-file';
+  showLinkSelectorsError(message) {
+    const linkSelectorsInput = document.getElementById('site-link-selectors');
+    const errorElement = document.getElementById('site-link-selectors-error');
+    if (linkSelectorsInput && errorElement) {
+      linkSelectorsInput.classList.toggle('invalid', Boolean(message));
+      errorElement.textContent = message || '';
+      errorElement.classList.toggle('hidden', !message);
     }
-    return this.currentSite || 'unknown';
+  }
+
+  createStyleRows(scope, containerId, properties = VISITED_STYLE_PROPERTIES) {
+    const container = document.getElementById(containerId);
+    const template = document.getElementById('style-row-template');
+    if (!container || !template) {
+      return;
+    }
+
+    properties.forEach((property) => {
+      const row = template.content.firstElementChild.cloneNode(true);
+      const mode = row.querySelector('.style-mode');
+      const color = row.querySelector('.style-color');
+      const controlId = `${scope}-style-${property.field}`;
+
+      row.querySelector('.style-label').textContent = property.label;
+      row.querySelector('.style-label').htmlFor = controlId;
+      row.querySelector('.style-description').textContent = property.description;
+      mode.id = controlId;
+      mode.replaceChildren(...STYLE_MODES[scope].map(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+      }));
+
+      container.appendChild(row);
+      this.styleRows[scope].set(property.field, { mode, color });
+    });
+  }
+
+  updateStyleRows(scope, values) {
+    this.styleRows[scope].forEach(({ mode, color }, field) => {
+      const value = values[field];
+      if (value === undefined) {
+        mode.value = 'inherit';
+      } else {
+        mode.value = value === null ? 'off' : 'custom';
+      }
+
+      // Show the color that currently applies so "Custom" starts from it
+      const view = this.getStyleView();
+      color.value = value || view[field] || view.visitedColor;
+      color.disabled = mode.value !== 'custom';
+    });
+  }
+
+  // Null for pages without a hostname (local files, browser pages), which can't have site rules,
+  // and in incognito windows without settings of their own, whose sites stay out of synced settings
+  getRuleKey() {
+    return this.isIncognito && !this.usesIncognitoSettings() ? null : this.ruleKey;
   }
 
   setupEventListeners() {
+    // Profile switcher and management
+    this.setupProfileEventListeners();
+
     // Global settings
     this.setupGlobalEventListeners();
     
     // Site-specific settings
     this.setupSiteEventListeners();
+
+    // Snoozing everywhere or on this site
+    this.setupSnoozeEventListeners();
+
+    // Visited style rows
+    this.setupStyleEventListeners('global');
+    this.setupStyleEventListeners('site');
     
-    // Modal controls
+    // Options page shortcut
+    const manageRulesButton = document.getElementById('manage-rules-btn');
+    if (manageRulesButton) {
+      manageRulesButton.addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+      });
+    }
+
+    // Follow changes made elsewhere, e.g. by keyboard shortcuts while the popup is open
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      this.handleStorageChange(changes, namespace);
+    });
+  }
+
+  async handleStorageChange(changes, namespace) {
+    // Snoozes started or ended elsewhere, e.g. from another window's popup
+    if (namespace === 'local' && changes[SNOOZES_KEY]) {
+      await this.refreshPauseState();
+    }
+
+    if (namespace === 'local' && changes[INCOGNITO_SETTINGS_KEY] && this.isIncognito
+      && !this.incognitoPatchQueue.hasPending()) {
+      await this.loadIncognitoSettings();
+      this.initializeGlobalSettings();
+      this.initializeSiteSettings();
+    }
+
+    const settingsChanged = Object.keys(changes).some((key) => isSettingsStorageKey(key));
+    if ((namespace !== 'sync' && namespace !== 'local') || !settingsChanged || this.patchQueue.hasPending()) {
+      return;
+    }
+
+    try {
+      const newSettings = await StorageManager.getSettings();
+      if (JSON.stringify(newSettings) !== JSON.stringify(this.settings)) {
+        this.settings = newSettings;
+        this.renderProfiles();
+        this.initializeGlobalSettings();
+        this.initializeSiteSettings();
+        await this.refreshPauseState();
+      }
+    } catch (error) {
+      // Keep showing the last known settings
+    }
   }
 
   setupGlobalEventListeners() {
+    // Incognito policy
+    const incognitoPolicySelect = document.getElementById('incognito-policy');
+    if (incognitoPolicySelect) {
+      incognitoPolicySelect.addEventListener('change', (e) => {
+        this.setIncognitoPolicy(e.target.value);
+      });
+    }
+
     // Global toggle
     const globalToggle = document.getElementById('global-toggle');
     if (globalToggle) {
@@ -163,16 +879,169 @@ class PopupController {
       });
 
       globalColorHex.addEventListener('input', (e) => {
-        if (this.isValidHexColor(e.target.value)) {
+        if (isValidHexColor(e.target.value)) {
           globalColorPicker.value = e.target.value;
           this.updateGlobalSetting('visitedColor', e.target.value);
         }
       });
     }
 
+    // Global dark mode color picker
+    const globalDarkColorPicker = document.getElementById('global-dark-color-picker');
+    const globalDarkColorHex = document.getElementById('global-dark-color-hex');
+    if (globalDarkColorPicker && globalDarkColorHex) {
+      globalDarkColorPicker.addEventListener('input', (e) => {
+        globalDarkColorHex.value = e.target.value;
+        this.updateGlobalSetting('visitedColorDark', e.target.value);
+      });
+
+      globalDarkColorHex.addEventListener('input', (e) => {
+        if (isValidHexColor(e.target.value)) {
+          globalDarkColorPicker.value = e.target.value;
+          this.updateGlobalSetting('visitedColorDark', e.target.value);
+        }
+      });
+    }
+
+    // Toolbar color swatch toggle
+    const badgeSwatchToggle = document.getElementById('badge-swatch-toggle');
+    if (badgeSwatchToggle) {
+      badgeSwatchToggle.addEventListener('change', (e) => {
+        this.updateGlobalSetting('badgeColorSwatch', e.target.checked);
+      });
+    }
+
+    // Page darkness detection toggle
+    const detectDarknessToggle = document.getElementById('detect-darkness-toggle');
+    if (detectDarknessToggle) {
+      detectDarknessToggle.addEventListener('change', (e) => {
+        this.updateGlobalSetting('detectPageDarkness', e.target.checked);
+      });
+    }
+
+    // Auto contrast toggle and target
+    const autoContrastToggle = document.getElementById('auto-contrast-toggle');
+    const contrastRatioRow = document.getElementById('contrast-ratio-row');
+    if (autoContrastToggle && contrastRatioRow) {
+      autoContrastToggle.addEventListener('change', (e) => {
+        contrastRatioRow.style.display = e.target.checked ? 'flex' : 'none';
+        this.updateGlobalSetting('autoContrast', e.target.checked);
+      });
+    }
+
+    const contrastRatioSelect = document.getElementById('contrast-ratio-select');
+    if (contrastRatioSelect) {
+      contrastRatioSelect.addEventListener('change', (e) => {
+        this.updateGlobalSetting('contrastRatio', Number(e.target.value));
+      });
+    }
+
+    // Recency shading toggle and fades
+    const recencyToggle = document.getElementById('recency-toggle');
+    if (recencyToggle) {
+      recencyToggle.addEventListener('change', (e) => {
+        this.setRecencyShading(e.target.checked);
+      });
+    }
+
+    (this.recencySelects || []).forEach((select, tier) => {
+      select.addEventListener('change', (e) => {
+        const fades = [...this.settings.recencyFades];
+        fades[tier] = Number(e.target.value);
+        this.updateGlobalSetting('recencyFades', fades);
+      });
+    });
+
+    // Normalized visits toggle and URL variant rules
+    const normalizedVisitsToggle = document.getElementById('normalized-visits-toggle');
+    if (normalizedVisitsToggle) {
+      normalizedVisitsToggle.addEventListener('change', (e) => {
+        this.updateGlobalSetting('normalizedVisits', e.target.checked);
+        this.updateNormalizedVisitsWarning();
+      });
+    }
+
+    this.setupNormalizationEventListeners('global', (normalization) => {
+      this.updateGlobalSetting('normalization', normalization);
+    });
+
+    // Recurring schedule
+    const scheduleToggle = document.getElementById('schedule-toggle');
+    if (scheduleToggle) {
+      scheduleToggle.addEventListener('change', (e) => {
+        this.updateSchedule({ enabled: e.target.checked });
+      });
+    }
+
+    (this.scheduleDayCheckboxes || []).forEach((checkbox) => {
+      checkbox.addEventListener('change', () => {
+        const days = this.scheduleDayCheckboxes
+          .filter((dayCheckbox) => dayCheckbox.checked)
+          .map((dayCheckbox) => Number(dayCheckbox.value));
+        this.updateSchedule({ days });
+      });
+    });
+
+    ['start', 'end'].forEach((field) => {
+      const input = document.getElementById(`schedule-${field}`);
+      if (input) {
+        input.addEventListener('change', (e) => {
+          if (/^\d{2}:\d{2}$/.test(e.target.value)) {
+            this.updateSchedule({ [field]: e.target.value });
+          }
+        });
+      }
+    });
+  }
+
+  setupSnoozeEventListeners() {
+    ['global', 'site'].forEach((scope) => {
+      const select = document.getElementById(`${scope}-snooze-select`);
+      if (select) {
+        select.addEventListener('change', (e) => {
+          if (e.target.value) {
+            this.snooze(scope, e.target.value);
+          }
+        });
+      }
+
+      const resumeButton = document.getElementById(`${scope}-resume-btn`);
+      if (resumeButton) {
+        resumeButton.addEventListener('click', () => {
+          this.resumeSnooze(scope);
+        });
+      }
+    });
+  }
+
+  setupNormalizationEventListeners(scope, save) {
+    const controls = this.normalizationControls[scope];
+    if (!controls) {
+      return;
+    }
+
+    const saveControls = () => {
+      const normalization = this.readNormalizationControls(scope);
+      if (normalization) {
+        save(normalization);
+      }
+    };
+
+    controls.params.addEventListener('input', saveControls);
+    controls.options.forEach((checkbox) => checkbox.addEventListener('change', saveControls));
   }
 
   setupSiteEventListeners() {
+    // Rule scope selector - switch which rule the controls below edit
+    const scopeSelect = document.getElementById('rule-scope');
+    if (scopeSelect) {
+      scopeSelect.addEventListener('change', (e) => {
+        this.ruleKey = e.target.value;
+        this.updateScopeDescription();
+        this.initializeSiteSettings();
+      });
+    }
+
     // Site toggle
     const siteToggle = document.getElementById('site-toggle');
     if (siteToggle) {
@@ -191,41 +1060,143 @@ class PopupController {
       });
 
       siteColorHex.addEventListener('input', (e) => {
-        if (this.isValidHexColor(e.target.value)) {
+        if (isValidHexColor(e.target.value)) {
           siteColorPicker.value = e.target.value;
           this.updateSiteSetting('visitedColor', e.target.value);
         }
       });
     }
 
+    // Site dark mode color picker
+    const siteDarkColorPicker = document.getElementById('site-dark-color-picker');
+    const siteDarkColorHex = document.getElementById('site-dark-color-hex');
+    if (siteDarkColorPicker && siteDarkColorHex) {
+      siteDarkColorPicker.addEventListener('input', (e) => {
+        siteDarkColorHex.value = e.target.value;
+        this.updateSiteSetting('visitedColorDark', e.target.value);
+      });
+
+      siteDarkColorHex.addEventListener('input', (e) => {
+        if (isValidHexColor(e.target.value)) {
+          siteDarkColorPicker.value = e.target.value;
+          this.updateSiteSetting('visitedColorDark', e.target.value);
+        }
+      });
+    }
+
     // Use custom color toggle
     const useCustomColor = document.getElementById('use-custom-color');
     const siteColorRow = document.getElementById('site-color-row');
-    if (useCustomColor && siteColorRow) {
+    const siteDarkColorRow = document.getElementById('site-dark-color-row');
+    if (useCustomColor && siteColorRow && siteDarkColorRow) {
       useCustomColor.addEventListener('change', (e) => {
         siteColorRow.style.display = e.target.checked ? 'flex' : 'none';
+        siteDarkColorRow.style.display = e.target.checked ? 'flex' : 'none';
         if (e.target.checked) {
           // Initialize with current global color when enabling
+          const { visitedColor } = this.getStyleView();
           if (siteColorPicker && siteColorHex) {
-            siteColorPicker.value = this.settings.visitedColor;
-            siteColorHex.value = this.settings.visitedColor;
-            this.updateSiteSetting('visitedColor', this.settings.visitedColor);
+            siteColorPicker.value = visitedColor;
+            siteColorHex.value = visitedColor;
+            this.updateSiteSetting('visitedColor', visitedColor);
+          }
+          // The dark variant follows the site color until it is changed
+          if (siteDarkColorPicker && siteDarkColorHex) {
+            siteDarkColorPicker.value = visitedColor;
+            siteDarkColorHex.value = visitedColor;
           }
         } else {
-          // Remove custom color when disabling
+          // Remove custom colors when disabling
           this.removeSiteSetting('visitedColor');
+          this.removeSiteSetting('visitedColorDark');
+        }
+      });
+    }
+
+    // Extra link selectors - nothing is saved while any line is invalid
+    const linkSelectorsInput = document.getElementById('site-link-selectors');
+    if (linkSelectorsInput) {
+      linkSelectorsInput.addEventListener('input', (e) => {
+        const { selectors, error } = parseLinkSelectors(e.target.value);
+        this.showLinkSelectorsError(error);
+        if (error) {
+          return;
+        }
+
+        if (selectors.length > 0) {
+          this.updateSiteSetting('linkSelectors', selectors);
+        } else {
+          this.removeSiteSetting('linkSelectors');
         }
       });
     }
 
+    // Own URL variant rules start as a copy of the global ones
+    const normalizationCustom = document.getElementById('site-normalization-custom');
+    const siteNormalization = document.getElementById('site-normalization');
+    if (normalizationCustom && siteNormalization) {
+      normalizationCustom.addEventListener('change', (e) => {
+        siteNormalization.style.display = e.target.checked ? 'block' : 'none';
+        if (e.target.checked) {
+          this.updateNormalizationControls('site', this.settings.normalization);
+          this.updateSiteSetting('normalization', this.readNormalizationControls('site'));
+        } else {
+          this.removeSiteSetting('normalization');
+        }
+      });
+    }
+
+    this.setupNormalizationEventListeners('site', (normalization) => {
+      this.updateSiteSetting('normalization', normalization);
+    });
   }
 
 
+  setupStyleEventListeners(scope) {
+    this.styleRows[scope].forEach(({ mode, color }, field) => {
+      const save = () => {
+        color.disabled = mode.value !== 'custom';
+        const value = mode.value === 'custom' ? color.value : null;
+
+        if (scope === 'global') {
+          this.updateGlobalSetting(field, value);
+        } else if (mode.value === 'inherit') {
+          this.removeSiteSetting(field);
+        } else {
+          this.updateSiteSetting(field, value);
+        }
+      };
+
+      mode.addEventListener('change', save);
+      color.addEventListener('input', () => {
+        if (mode.value === 'custom') {
+          save();
+        }
+      });
+    });
+  }
+
   async updateGlobalSetting(key, value) {
     try {
+      // Incognito windows with separate settings have colors of their own
+      if (this.usesIncognitoSettings() && INCOGNITO_GLOBAL_FIELDS.includes(key)) {
+        await this.updateIncognitoSetting(SettingsPatch.setGlobal(key, value));
+        return;
+      }
+
+      // Style edits belong to the active profile while one is in use
+      const profile = this.getActiveProfile();
+      if (profile && isProfileStyleField(key)) {
+        await this.updateActiveProfile(
+          { ...profile, style: { ...profile.style, [key]: value } },
+          SettingsPatch.setProfile(this.settings.activeProfile, key, value)
+        );
+        return;
+      }
+
       this.settings[key] = value;
       
-      await this.saveSettings(key);
+      await this.saveChange(SettingsPatch.setGlobal(key, value));
       this.updateStatusIndicator();
     } catch (error) {
       this.showError('Failed to save setting');
@@ -234,80 +1205,239 @@ class PopupController {
 
   async updateSiteSetting(key, value) {
     try {
-      const currentSite = this.getCurrentSite();
+      const ruleKey = this.getRuleKey();
+      if (!ruleKey) {
+        return;
+      }
+
+      if (this.usesIncognitoSettings() && INCOGNITO_SITE_FIELDS.includes(key)) {
+        await this.updateIncognitoSetting(SettingsPatch.setSite(ruleKey, key, value));
+        this.updateStatusIndicator();
+        return;
+      }
+
+      const profile = this.getActiveProfile();
+      if (profile && isProfileStyleField(key)) {
+        await this.updateActiveProfile(
+          setProfileSiteField(profile, ruleKey, key, value),
+          SettingsPatch.setProfileSite(this.settings.activeProfile, ruleKey, key, value)
+        );
+        return;
+      }
+
       if (!this.settings.siteSettings) {
         this.settings.siteSettings = {};
       }
-      if (!this.settings.siteSettings[currentSite]) {
-        this.settings.siteSettings[currentSite] = {};
+      if (!this.settings.siteSettings[ruleKey]) {
+        this.settings.siteSettings[ruleKey] = {};
       }
       
-      this.settings.siteSettings[currentSite][key] = value;
+      this.settings.siteSettings[ruleKey][key] = value;
       
-      await this.saveSettings(key);
+      await this.saveChange(SettingsPatch.setSite(ruleKey, key, value));
       this.updateStatusIndicator();
     } catch (error) {
       this.showError('Failed to save setting');
     }
   }
 
-  async saveSettings(key) {
-    // Clear any pending storage update
-    if (this.storageUpdateTimeout) {
-      clearTimeout(this.storageUpdateTimeout);
-    }
-    
-    // For enable/disable changes, save immediately
-    if (key === 'enabled') {
-      await StorageManager.setSettings(this.settings);
-      
-      // Notify service worker immediately
-      this.notifyServiceWorker().catch(error => {
-        // Service worker notification failed
-      });
-    } else {
-      // For color changes, debounce to avoid quota errors
-      this.storageUpdateTimeout = setTimeout(async () => {
-        try {
-          await StorageManager.setSettings(this.settings);
-          
-          // Notify service worker
-          this.notifyServiceWorker().catch(error => {
-            // Service worker notification failed
-          });
-        } catch (error) {
-          // Error saving debounced settings
-        }
-      }, 300); // 300ms debounce for color changes
-    }
+  // Only the changed field is sent, so edits made elsewhere at the same time are kept
+  async saveChange(change) {
+    // For toggles, save immediately (the service worker persists and applies them)
+    // For color changes, debounce to avoid quota errors
+    await this.patchQueue.queue(change, { immediate: typeof change.value === 'boolean' });
   }
 
   async removeSiteSetting(key) {
     try {
-      const currentSite = this.getCurrentSite();
-      if (this.settings.siteSettings && this.settings.siteSettings[currentSite]) {
-        delete this.settings.siteSettings[currentSite][key];
-        await StorageManager.setSettings(this.settings);
-        await this.notifyServiceWorker();
+      const ruleKey = this.getRuleKey();
+      if (!ruleKey) {
+        return;
+      }
+
+      if (this.usesIncognitoSettings() && INCOGNITO_SITE_FIELDS.includes(key)) {
+        await this.updateIncognitoSetting(SettingsPatch.removeSiteField(ruleKey, key));
+        return;
+      }
+
+      const profile = this.getActiveProfile();
+      if (profile && isProfileStyleField(key)) {
+        await this.updateActiveProfile(
+          setProfileSiteField(profile, ruleKey, key, undefined),
+          SettingsPatch.removeProfileSiteField(this.settings.activeProfile, ruleKey, key)
+        );
+        return;
+      }
+
+      if (this.settings.siteSettings && this.settings.siteSettings[ruleKey]) {
+        delete this.settings.siteSettings[ruleKey][key];
+        await this.patchQueue.queue(SettingsPatch.removeSiteField(ruleKey, key), { immediate: true });
         this.updateStatusIndicator();
       }
     } catch (error) {
-      // Error removing site setting
+      this.showError('Failed to save setting');
     }
   }
 
-  async notifyServiceWorker() {
+  // Only the edited field of the profile is sent, like other settings
+  async updateActiveProfile(profile, change) {
+    this.settings.profiles = { ...this.settings.profiles, [this.settings.activeProfile]: profile };
+    await this.saveChange(change);
+  }
+
+  renderProfiles() {
+    const select = document.getElementById('profile-select');
+    if (!select) {
+      return;
+    }
+
+    const profiles = Object.entries(this.settings.profiles || {})
+      .sort(([, a], [, b]) => a.name.localeCompare(b.name));
+    select.replaceChildren(
+      new Option('Default', ''),
+      ...profiles.map(([id, profile]) => new Option(profile.name, id))
+    );
+    select.value = this.getActiveProfile() ? this.settings.activeProfile : '';
+
+    // Default can't be renamed, duplicated or deleted
+    const hasProfile = Boolean(this.getActiveProfile());
+    const isFull = profiles.length >= MAX_PROFILES;
+    const disabled = {
+      'profile-new-btn': isFull,
+      'profile-rename-btn': !hasProfile,
+      'profile-duplicate-btn': !hasProfile || isFull,
+      'profile-delete-btn': !hasProfile
+    };
+    Object.entries(disabled).forEach(([id, isDisabled]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.disabled = isDisabled;
+      }
+    });
+  }
+
+  // Switching only changes which profile is active; the style controls then show its values.
+  // changes holds the profile edits that come with it.
+  async saveProfiles(profiles, activeProfile, changes = []) {
     try {
-      const response = await chrome.runtime.sendMessage({
-        action: 'updateSettings',
-        settings: this.settings
+      this.settings.profiles = profiles;
+      this.settings.activeProfile = activeProfile;
+      this.renderProfiles();
+      this.initializeGlobalSettings();
+      this.initializeSiteSettings();
+
+      changes.forEach((change) => this.patchQueue.queue(change));
+      await this.patchQueue.queue(SettingsPatch.setGlobal('activeProfile', activeProfile), { immediate: true });
+    } catch (error) {
+      this.showError('Failed to save profile');
+    }
+  }
+
+  showProfileNameForm(mode) {
+    const form = document.getElementById('profile-name-form');
+    const input = document.getElementById('profile-name-input');
+    if (!form || !input) {
+      return;
+    }
+
+    const profile = this.getActiveProfile();
+    this.profileNameMode = mode;
+
+    input.value = {
+      create: '',
+      rename: profile?.name || '',
+      duplicate: profile ? `${profile.name} copy`.slice(0, input.maxLength) : ''
+    }[mode];
+    form.classList.remove('hidden');
+    input.focus();
+    input.select();
+  }
+
+  hideProfileNameForm() {
+    const form = document.getElementById('profile-name-form');
+    if (form) {
+      form.classList.add('hidden');
+    }
+    this.profileNameMode = null;
+  }
+
+  async submitProfileName() {
+    const name = document.getElementById('profile-name-input').value;
+    if (!isValidProfileName(name)) {
+      this.showError(`Profile names need 1 to ${MAX_PROFILE_NAME_LENGTH} characters`);
+      return;
+    }
+
+    const profiles = { ...this.settings.profiles };
+    const profile = this.getActiveProfile();
+    let activeProfile = this.settings.activeProfile;
+    let changes;
+
+    if (this.profileNameMode === 'rename' && profile) {
+      profiles[activeProfile] = { ...profile, name: name.trim() };
+      changes = [SettingsPatch.setProfile(activeProfile, 'name', name.trim())];
+    } else {
+      // New and duplicated profiles become active right away
+      activeProfile = crypto.randomUUID();
+      profiles[activeProfile] = this.profileNameMode === 'duplicate' && profile
+        ? duplicateProfile(name, profile)
+        : createProfile(name, this.settings);
+      changes = this.getProfileChanges(activeProfile, profiles[activeProfile]);
+    }
+
+    this.hideProfileNameForm();
+    await this.saveProfiles(profiles, activeProfile, changes);
+  }
+
+  // The changes that store a whole profile
+  getProfileChanges(id, profile) {
+    return [
+      SettingsPatch.setProfile(id, 'name', profile.name),
+      ...Object.entries(profile.style).map(([field, value]) => SettingsPatch.setProfile(id, field, value)),
+      ...Object.entries(profile.siteSettings).flatMap(([site, rule]) => Object.entries(rule)
+        .map(([field, value]) => SettingsPatch.setProfileSite(id, site, field, value)))
+    ];
+  }
+
+  async deleteProfile() {
+    if (!this.getActiveProfile()) {
+      return;
+    }
+
+    const profiles = { ...this.settings.profiles };
+    delete profiles[this.settings.activeProfile];
+    await this.saveProfiles(profiles, null, [SettingsPatch.removeProfile(this.settings.activeProfile)]);
+  }
+
+  setupProfileEventListeners() {
+    const select = document.getElementById('profile-select');
+    if (select) {
+      select.addEventListener('change', (e) => {
+        this.hideProfileNameForm();
+        this.saveProfiles(this.settings.profiles || {}, e.target.value || null);
       });
-      
-      if (!response || !response.success) {
-        throw new Error('Service worker returned error: ' + (response?.error || 'Unknown error'));
+    }
+
+    const actions = {
+      'profile-new-btn': () => this.showProfileNameForm('create'),
+      'profile-rename-btn': () => this.showProfileNameForm('rename'),
+      'profile-duplicate-btn': () => this.showProfileNameForm('duplicate'),
+      'profile-delete-btn': () => this.deleteProfile(),
+      'profile-name-cancel': () => this.hideProfileNameForm()
+    };
+    Object.entries(actions).forEach(([id, action]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', action);
       }
-    } catch (error) {
-      throw error; // Re-throw to trigger the timeout
+    });
+
+    const form = document.getElementById('profile-name-form');
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submitProfileName();
+      });
     }
   }
 
@@ -316,7 +1446,13 @@ class PopupController {
     const statusText = document.querySelector('.status-text');
     
     if (statusDot && statusText) {
-      if (this.settings.enabled) {
+      if (this.settings.enabled && this.isIncognito && this.settings.incognitoPolicy === 'disabled') {
+        statusDot.className = 'status-dot inactive';
+        statusText.textContent = 'Off in Incognito';
+      } else if (this.settings.enabled && this.pauseState?.paused) {
+        statusDot.className = 'status-dot paused';
+        statusText.textContent = describePause(this.pauseState);
+      } else if (this.settings.enabled) {
         statusDot.className = 'status-dot active';
         statusText.textContent = 'Active';
       } else {
@@ -337,20 +1473,33 @@ class PopupController {
   }
 
   showError(message) {
-    // You could add a toast notification here
-  }
+    const messageElement = document.getElementById('popup-message');
+    if (!messageElement) {
+      return;
+    }
+
+    if (this.messageTimeout) {
+      clearTimeout(this.messageTimeout);
+    }
 
+    messageElement.textContent = message;
+    messageElement.classList.remove('hidden');
 
-  isValidHexColor(hex) {
-    return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(hex);
+    this.messageTimeout = setTimeout(() => {
+      messageElement.classList.add('hidden');
+      this.messageTimeout = null;
+    }, 4000);
   }
 
-  // Cleanup method to clear timeouts
+  // Cleanup method - send any debounced change instead of dropping it
   destroy() {
-    if (this.storageUpdateTimeout) {
-      clearTimeout(this.storageUpdateTimeout);
-      this.storageUpdateTimeout = null;
-    }
+    clearTimeout(this.messageTimeout);
+    [this.patchQueue, this.incognitoPatchQueue].forEach((queue) => {
+      if (queue.hasPending()) {
+        queue.flush();
+      }
+      queue.destroy();
+    });
   }
 }
 
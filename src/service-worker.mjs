@@ -0,0 +1,3585 @@
+// Visited Link Marker - Service Worker
+// Handles all logic and CSS injection to avoid code duplication
+import {
+  SETTINGS_KEY,
+  SETTINGS_REVISIONS_KEY,
+  SITE_SHARD_PREFIX,
+  DESTINATION_SHARD_PREFIX,
+  PROFILE_SHARD_PREFIX,
+  PROFILE_SITE_SHARD_PREFIX,
+  COMPAT_OVERRIDE_SHARD_PREFIX,
+  INCOGNITO_SETTINGS_KEY,
+  isSettingsStorageKey
+} from './utilities/storage-manager.mjs';
+import {
+  isValidHexColor,
+  isValidContrastRatio,
+  isSafeLinkSelector,
+  isValidLinkSelectorList,
+  MAX_LINK_SELECTORS
+} from './utilities/validators.mjs';
+import { getSitePattern, compareSpecificity } from './utilities/site-patterns.mjs';
+import { isValidSiteRuleField } from './utilities/site-rules.mjs';
+import { VISITED_STYLE_PROPERTIES, isValidStyleValue } from './utilities/visited-style.mjs';
+import {
+  COMPAT_RULE_ID_PATTERN,
+  MAX_COMPAT_BOOST,
+  isValidCompatBoost,
+  isValidCompatOverrideField
+} from './utilities/compat-rules.mjs';
+import {
+  MAX_DESTINATION_RULES,
+  isValidDestinationValue,
+  isValidDestinationRule,
+  sortDestinationRules,
+  getNextDestinationOrder
+} from './utilities/destination-rules.mjs';
+import { isValidNormalization } from './utilities/url-normalization.mjs';
+import { RECENCY_TIERS, isValidRecencyFades } from './utilities/recency.mjs';
+import { repairProfiles, isProfileStyleField } from './utilities/profiles.mjs';
+import { SNOOZES_KEY, SNOOZE_OPTIONS, isValidSchedule } from './utilities/schedule.mjs';
+import { INCOGNITO_GLOBAL_FIELDS, isValidIncognitoPolicy, repairIncognitoSettings } from './utilities/incognito.mjs';
+
+// Current stored settings shape. Bump it whenever older releases would lose something by rewriting
+// the stored settings, since they treat settings from a newer version as read-only. Fields that are
+// only added need no migration (repairSettings fills in their defaults); SETTINGS_MIGRATIONS only
+// holds steps that change stored values.
+const SCHEMA_VERSION = 20;
+
+// Default settings - the single source of truth, pages ask the worker for them
+const DEFAULT_SETTINGS = {
+  schemaVersion: SCHEMA_VERSION,
+  visitedColor: '#551a8b', // Global color - default purple
+  visitedColorDark: '#c58af9', // Color used when the dark variant applies
+  detectPageDarkness: false, // Pick the variant from the page background instead of prefers-color-scheme
+  autoContrast: false,      // Shift visited colors until they are readable on the link background
+  contrastRatio: 4.5,       // WCAG contrast target for auto-contrast (AA for normal text)
+  unvisitedColor: null,     // Opt-in color for unvisited links (null leaves them to the site)
+  enabled: true,            // Global enable/disable
+  badgeColorSwatch: false,  // Show the tab's visited color as a badge on the toolbar icon
+  profiles: {},             // Named style profiles by id: { name, style, siteSettings } layered over these settings
+  activeProfile: null,      // Id of the profile in use, null for none
+  // Recurring hours to mark links in; outside them marking is paused. Days are 0 (Sunday) to 6.
+  schedule: { enabled: false, days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' },
+  incognitoPolicy: 'same',  // Incognito tabs: 'same' as normal ones, 'disabled', or 'separate' colors and site rules
+  compatRuleOverrides: {},  // Per compatibility rule id: { enabled, selectors, boost } replacing the pack's values
+  destinationRules: [],     // Colors by link destination, lowest order first; the first matching rule wins
+  recencyShading: false,    // Fade visited links by last visit time (needs the optional history permission)
+  recencyFades: [0, 20, 40, 60], // Percent faded toward the background, per RECENCY_TIERS entry
+  normalizedVisits: false,  // Also mark links whose normalized URL was visited (tracking params, fragments, ...)
+  // How URLs are normalized; site rules can replace it with their own normalization
+  normalization: {
+    stripParams: ['utm_*', 'fbclid', 'gclid', 'mc_cid', 'mc_eid'],
+    stripFragment: true,
+    stripTrailingSlash: true,
+    stripWww: true
+  },
+  // Extra visited styling is off (null) until chosen
+  ...Object.fromEntries(VISITED_STYLE_PROPERTIES.map(({ field }) => [field, null])),
+  siteSettings: {}          // Site-specific settings (empty by default)
+};
+
+// Leave headroom under the 8KB per-item sync limit for the key name and encoding differences
+const SHARD_BYTE_LIMIT = chrome.storage.sync.QUOTA_BYTES_PER_ITEM - 512;
+
+// Shards beyond this share of the sync quota overflow to this device's local storage
+const SYNC_BYTE_BUDGET = Math.floor(chrome.storage.sync.QUOTA_BYTES * 0.9);
+
+// Removed-rule markers are kept long enough for every device to see the removal, newest first
+// within a byte budget so bulk removals can't crowd the rules themselves out of sync storage
+const REMOVAL_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const REMOVAL_MARKER_BYTE_BUDGET = chrome.storage.sync.QUOTA_BYTES_PER_ITEM * 3;
+
+// Each migration upgrades settings stored before its version, in order
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    // Unversioned settings: older popups saved rules under placeholder names for pages without a hostname
+    migrate: (settings) => {
+      const siteSettings = { ...(settings.siteSettings || {}) };
+      ['unknown', 'Unknown', 'local-file'].forEach((placeholder) => {
+        delete siteSettings[placeholder];
+      });
+      return { ...settings, siteSettings };
+    }
+  },
+  {
+    version: 2,
+    // Site rules moved out of the main item into shards; SettingsStore reads both layouts,
+    // and the version bump stops older releases from rewriting the main item without its rules
+    migrate: (settings) => settings
+  },
+  {
+    version: 3,
+    // Per-field revision metadata (_rev, _removed) is now stored alongside settings for merging;
+    // older releases would strip it, so they must treat these settings as read-only
+    migrate: (settings) => settings
+  },
+  {
+    version: 17,
+    // Revision metadata left the main item: global revisions have an item of their own and
+    // removal markers are kept in the shards next to the rules; SettingsStore reads both layouts
+    migrate: (settings) => settings
+  },
+  {
+    version: 18,
+    // Destination rules left the main item for shards of their own, one entry per rule with its
+    // own revisions and order; SettingsStore reads both layouts
+    migrate: (settings) => settings
+  },
+  {
+    version: 19,
+    // Profiles left the main item the same way, their site overrides in shards of their own;
+    // SettingsStore reads both layouts
+    migrate: (settings) => settings
+  },
+  {
+    version: 20,
+    // Compatibility rule overrides left the main item for shards of their own, one entry per rule
+    // with its own revisions; SettingsStore reads both layouts
+    migrate: (settings) => settings
+  }
+];
+
+// Site compatibility rules ship in a data file; a newer pack imported from the options page
+// is kept in local storage and used instead
+const COMPAT_PACK_PATH = 'data/site-compat-rules.json';
+const COMPAT_PACK_FORMAT = 'visited-links-marker-compat-rules';
+const COMPAT_PACK_KEY = 'compatRulePack';
+const MAX_COMPAT_RULES = 500;
+
+// Boosted rules repeat this once per step of their boost
+const COMPAT_BOOST_SELECTOR = ':not(#visited-links-marker-boost)';
+
+// Properties a compatibility rule may set to the link color
+const COMPAT_PROPERTIES = ['color', '-webkit-text-fill-color', 'text-decoration-color', 'fill', 'stroke'];
+
+// Destination colors outrank site link selectors and boosted compatibility rules
+const DESTINATION_BOOST = MAX_COMPAT_BOOST + 1;
+
+// Rules without an order (older settings and imports) go after the others, keeping their list order
+const repairDestinationRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    return [];
+  }
+
+  const ids = new Set();
+  const valid = rules.filter((rule) => {
+    if (!isValidDestinationRule(rule) || ids.has(rule.id)) {
+      return false;
+    }
+    ids.add(rule.id);
+    return true;
+  });
+
+  let nextOrder = getNextDestinationOrder(valid.filter((rule) => rule.order !== undefined));
+  return sortDestinationRules(valid.map((rule) => ({ ...rule, order: rule.order ?? nextOrder++ })))
+    .slice(0, MAX_DESTINATION_RULES);
+};
+
+// Content scripts report the hrefs on their page in batches, for recency shading and normalized visits
+const REPORTED_LINKS_BATCH_SIZE = 100;
+const MAX_REPORTED_LINKS = 2000;
+// A page's batches arrive back to back; its stylesheet is rebuilt once, this long after the last one
+const REPORTED_LINKS_RESTYLE_DELAY_MS = 250;
+
+// Recency shading: the worker looks up the last visit of reported links and styles them by age
+const getRecencyTier = (age) => RECENCY_TIERS.findIndex((limit) => age < limit);
+
+// Normalized visits: pages are recorded in local storage under a normalized key, and reported
+// links whose key was recorded are marked even though the browser sees a different URL
+const NORMALIZED_VISITS_KEY = 'normalizedVisits';
+const MAX_NORMALIZED_VISITS = 2000;
+const NORMALIZED_VISITS_WRITE_DELAY_MS = 1000;
+
+const matchesStripParam = (name, patterns) => patterns.some((pattern) => (pattern.endsWith('*')
+  ? name.toLowerCase().startsWith(pattern.slice(0, -1).toLowerCase())
+  : name.toLowerCase() === pattern.toLowerCase()));
+
+// Visited colors the cycle-site-color shortcut and the link color menu step through
+const COLOR_PRESETS = ['#551a8b', '#c0392b', '#d35400', '#1e8449', '#1a5fb4', '#8e44ad'];
+
+// The preset after the given color, or the first one for colors that aren't presets
+const getNextPresetColor = (color) => COLOR_PRESETS[(COLOR_PRESETS.indexOf(color.toLowerCase()) + 1) % COLOR_PRESETS.length];
+
+// Context menu items; link items act on the link's URL, the page item on the page's site rule
+const CONTEXT_MENU_ITEMS = [
+  { id: 'mark-link-visited', title: 'Mark as visited', contexts: ['link'] },
+  { id: 'mark-link-unvisited', title: 'Mark as unvisited', contexts: ['link'] },
+  { id: 'color-link-site', title: 'Use a custom color for links to this site', contexts: ['link'] },
+  { id: 'disable-site', title: 'Disable Visited Links Marker on this site', contexts: ['page'], type: 'checkbox' }
+];
+const CONTEXT_MENU_PATTERNS = ['http://*/*', 'https://*/*'];
+
+// Toolbar badge per tab state; active tabs show nothing, or the visited color with badgeColorSwatch
+const ACTION_STATES = {
+  active: { text: '', color: null, title: 'Visited Links Marker: marking links on this page' },
+  siteDisabled: { text: 'OFF', color: '#b9770e', title: 'Visited Links Marker: turned off for this site' },
+  globalDisabled: { text: 'OFF', color: '#7f8c8d', title: 'Visited Links Marker: turned off everywhere' },
+  restricted: { text: '', color: null, title: 'Visited Links Marker: this page can\'t be marked' },
+  paused: { text: 'zz', color: '#2471a3', title: 'Visited Links Marker: paused' },
+  incognitoDisabled: { text: 'OFF', color: '#7f8c8d', title: 'Visited Links Marker: turned off in incognito windows' }
+};
+
+// Shown on the tab where a link's site couldn't get a destination rule, until the tab's state next changes
+const DESTINATION_LIMIT_STATE = {
+  text: '!',
+  color: '#c0392b',
+  title: 'Visited Links Marker: destination rule limit reached; remove a rule in the options to add another'
+};
+const COLOR_LINK_SITE_FULL_TITLE = 'Use a custom color for links to this site (destination rule limit reached)';
+
+// With the 'separate' policy, incognito tabs use colors and site rules of their own:
+// { visitedColor, visitedColorDark, siteSettings: { pattern: { enabled, visitedColor, visitedColorDark } } }.
+// They are kept in local storage only, so sites visited privately never reach synced storage.
+
+// Applies popup changes (built with SettingsPatch) to the incognito settings
+const applyIncognitoChanges = (current, changes) => {
+  const next = structuredClone(current);
+
+  changes.forEach((change) => {
+    switch (change.type) {
+      case 'setGlobal':
+        if (INCOGNITO_GLOBAL_FIELDS.includes(change.field)) {
+          next[change.field] = change.value;
+        }
+        break;
+
+      case 'setSite':
+        next.siteSettings[change.site] = { ...(next.siteSettings[change.site] || {}), [change.field]: change.value };
+        break;
+
+      case 'removeSiteField':
+        if (next.siteSettings[change.site]) {
+          delete next.siteSettings[change.site][change.field];
+        }
+        break;
+
+      case 'removeSite':
+        delete next.siteSettings[change.site];
+        break;
+
+      default:
+        throw new Error(`Unknown settings change: ${change.type}`);
+    }
+  });
+
+  return repairIncognitoSettings(next, DEFAULT_SETTINGS);
+};
+
+// Snoozes pause marking everywhere or on one site rule's pattern, until a time or until a tab
+// closes. They are local to this browser: { global: entry | null, sites: { pattern: entry } },
+// each entry being { until } or { tabId }.
+const MINUTE_MS = 60 * 1000;
+
+// One alarm wakes the worker when the next snooze ends or the schedule starts or stops
+const PAUSE_ALARM = 'pause-state';
+
+const getScheduleMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Start and end on the same minute cover the whole day; an end before the start runs past midnight
+const isWithinSchedule = (schedule, date) => {
+  const start = getScheduleMinutes(schedule.start);
+  const end = getScheduleMinutes(schedule.end);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+
+  if (start === end) {
+    return schedule.days.includes(day);
+  }
+  if (start < end) {
+    return schedule.days.includes(day) && minutes >= start && minutes < end;
+  }
+  return (schedule.days.includes(day) && minutes >= start)
+    || (schedule.days.includes((day + 6) % 7) && minutes < end);
+};
+
+// When the schedule next switches marking on or off, or null if it never does
+const getNextScheduleChange = (schedule, now) => {
+  const current = isWithinSchedule(schedule, new Date(now));
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  const boundaries = [];
+  for (let offset = 0; offset <= 8; offset += 1) {
+    [schedule.start, schedule.end].forEach((time) => {
+      const date = new Date(today);
+      date.setDate(today.getDate() + offset);
+      date.setMinutes(getScheduleMinutes(time));
+      boundaries.push(date.getTime());
+    });
+  }
+
+  return boundaries
+    .filter((time) => time > now)
+    .sort((a, b) => a - b)
+    .find((time) => isWithinSchedule(schedule, new Date(time)) !== current) ?? null;
+};
+
+const getSnoozeEnd = (duration, now) => {
+  if (duration === '15m') {
+    return now + 15 * MINUTE_MS;
+  }
+  if (duration === '1h') {
+    return now + 60 * MINUTE_MS;
+  }
+  // Until tomorrow: the next local midnight
+  const tomorrow = new Date(now);
+  tomorrow.setHours(24, 0, 0, 0);
+  return tomorrow.getTime();
+};
+
+const isSnoozeActive = (entry, now) => isPlainObject(entry)
+  && (Number.isInteger(entry.tabId) || (typeof entry.until === 'number' && entry.until > now));
+
+// Scheme-less key for a URL; null for anything that isn't http(s)
+const normalizeVisitUrl = (url, normalization) => {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+    return null;
+  }
+
+  let host = urlObj.host.toLowerCase();
+  if (normalization.stripWww) {
+    host = host.replace(/^www\./, '');
+  }
+
+  let path = urlObj.pathname;
+  if (normalization.stripTrailingSlash) {
+    path = path.replace(/\/+$/, '');
+  }
+
+  const params = new URLSearchParams(
+    [...urlObj.searchParams].filter(([name]) => !matchesStripParam(name, normalization.stripParams))
+  ).toString();
+
+  return host + path + (params ? `?${params}` : '') + (normalization.stripFragment ? '' : urlObj.hash);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const cloneDefaultSettings = () => ({
+  ...DEFAULT_SETTINGS,
+  compatRuleOverrides: {},
+  destinationRules: [],
+  profiles: {},
+  schedule: { ...DEFAULT_SETTINGS.schedule, days: [...DEFAULT_SETTINGS.schedule.days] },
+  recencyFades: [...DEFAULT_SETTINGS.recencyFades],
+  normalization: { ...DEFAULT_SETTINGS.normalization, stripParams: [...DEFAULT_SETTINGS.normalization.stripParams] },
+  siteSettings: {}
+});
+
+// Overrides for unknown fields are dropped, so are overrides left empty
+const repairCompatOverrides = (overrides) => {
+  if (!isPlainObject(overrides)) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    Object.entries(overrides)
+      .filter(([id, override]) => COMPAT_RULE_ID_PATTERN.test(id) && isPlainObject(override))
+      .map(([id, override]) => [
+        id,
+        Object.fromEntries(Object.entries(override).filter(([field, value]) => isValidCompatOverrideField(field, value)))
+      ])
+      .filter(([, override]) => Object.keys(override).length > 0)
+  );
+};
+
+// Rule pack validation; pack files come from outside the extension, so nothing unchecked reaches the CSS
+const parseCompatRule = (rule, ids) => {
+  if (!isPlainObject(rule) || typeof rule.id !== 'string' || !COMPAT_RULE_ID_PATTERN.test(rule.id)) {
+    return { error: 'Rule without a valid id (lowercase letters, digits and dashes)' };
+  }
+  if (ids.has(rule.id)) {
+    return { error: `Rule "${rule.id}" appears more than once` };
+  }
+  if (rule.description !== undefined && typeof rule.description !== 'string') {
+    return { error: `Rule "${rule.id}": description must be text` };
+  }
+  if (!Array.isArray(rule.sites) || rule.sites.length === 0
+    || !rule.sites.every((site) => typeof site === 'string' && getSitePattern(site))) {
+    return { error: `Rule "${rule.id}": sites must be a list of site patterns` };
+  }
+  if (!isValidLinkSelectorList(rule.selectors)) {
+    return { error: `Rule "${rule.id}": selectors must be 1-${MAX_LINK_SELECTORS} safe CSS selectors` };
+  }
+  if (rule.boost !== undefined && !isValidCompatBoost(rule.boost)) {
+    return { error: `Rule "${rule.id}": boost must be a whole number from 0 to ${MAX_COMPAT_BOOST}` };
+  }
+  if (rule.properties !== undefined && (!Array.isArray(rule.properties) || rule.properties.length === 0
+    || !rule.properties.every((property) => COMPAT_PROPERTIES.includes(property)))) {
+    return { error: `Rule "${rule.id}": properties must be chosen from ${COMPAT_PROPERTIES.join(', ')}` };
+  }
+
+  return {
+    rule: {
+      id: rule.id,
+      description: (rule.description || '').slice(0, 200),
+      sites: [...rule.sites],
+      selectors: [...rule.selectors],
+      boost: rule.boost ?? 0,
+      properties: [...new Set(rule.properties || ['color'])]
+    }
+  };
+};
+
+// Returns { pack, errors }; a pack with any invalid rule is rejected as a whole
+const parseCompatPack = (raw) => {
+  if (!isPlainObject(raw) || raw.format !== COMPAT_PACK_FORMAT) {
+    return { pack: null, errors: ['This file is not a site compatibility rule pack'] };
+  }
+  if (!Number.isInteger(raw.version) || raw.version < 1) {
+    return { pack: null, errors: ['The rule pack has no valid version number'] };
+  }
+  if (!Array.isArray(raw.rules) || raw.rules.length > MAX_COMPAT_RULES) {
+    return { pack: null, errors: [`The rule pack must list up to ${MAX_COMPAT_RULES} rules`] };
+  }
+
+  const ids = new Set();
+  const rules = [];
+  const errors = [];
+  raw.rules.forEach((entry) => {
+    const { rule, error } = parseCompatRule(entry, ids);
+    if (error) {
+      errors.push(error);
+    } else {
+      ids.add(rule.id);
+      rules.push(rule);
+    }
+  });
+
+  return errors.length > 0
+    ? { pack: null, errors }
+    : { pack: { format: COMPAT_PACK_FORMAT, version: raw.version, rules }, errors };
+};
+
+const migrateSettings = (settings) => {
+  const storedVersion = Number.isInteger(settings.schemaVersion) ? settings.schemaVersion : 0;
+
+  return SETTINGS_MIGRATIONS
+    .filter((migration) => migration.version > storedVersion)
+    .reduce((migrated, migration) => ({ ...migration.migrate(migrated), schemaVersion: migration.version }), settings);
+};
+
+// Keep every valid field and fall back to the default only for the fields that are broken
+const repairSettings = (settings) => {
+  const profiles = repairProfiles(settings.profiles);
+  const repaired = {
+    schemaVersion: SCHEMA_VERSION,
+    visitedColor: isValidHexColor(settings.visitedColor) ? settings.visitedColor : DEFAULT_SETTINGS.visitedColor,
+    visitedColorDark: isValidHexColor(settings.visitedColorDark) ? settings.visitedColorDark : DEFAULT_SETTINGS.visitedColorDark,
+    detectPageDarkness: typeof settings.detectPageDarkness === 'boolean'
+      ? settings.detectPageDarkness
+      : DEFAULT_SETTINGS.detectPageDarkness,
+    autoContrast: typeof settings.autoContrast === 'boolean' ? settings.autoContrast : DEFAULT_SETTINGS.autoContrast,
+    contrastRatio: isValidContrastRatio(settings.contrastRatio) ? settings.contrastRatio : DEFAULT_SETTINGS.contrastRatio,
+    unvisitedColor: isValidStyleValue(settings.unvisitedColor) ? settings.unvisitedColor : DEFAULT_SETTINGS.unvisitedColor,
+    enabled: typeof settings.enabled === 'boolean' ? settings.enabled : DEFAULT_SETTINGS.enabled,
+    badgeColorSwatch: typeof settings.badgeColorSwatch === 'boolean' ? settings.badgeColorSwatch : DEFAULT_SETTINGS.badgeColorSwatch,
+    profiles,
+    // A deleted profile can't stay active
+    activeProfile: typeof settings.activeProfile === 'string' && Object.hasOwn(profiles, settings.activeProfile)
+      ? settings.activeProfile
+      : null,
+    compatRuleOverrides: repairCompatOverrides(settings.compatRuleOverrides),
+    destinationRules: repairDestinationRules(settings.destinationRules),
+    recencyShading: typeof settings.recencyShading === 'boolean' ? settings.recencyShading : DEFAULT_SETTINGS.recencyShading,
+    recencyFades: isValidRecencyFades(settings.recencyFades) ? [...settings.recencyFades] : [...DEFAULT_SETTINGS.recencyFades],
+    normalizedVisits: typeof settings.normalizedVisits === 'boolean' ? settings.normalizedVisits : DEFAULT_SETTINGS.normalizedVisits,
+    normalization: isValidNormalization(settings.normalization)
+      ? settings.normalization
+      : cloneDefaultSettings().normalization,
+    schedule: isValidSchedule(settings.schedule) ? settings.schedule : cloneDefaultSettings().schedule,
+    incognitoPolicy: isValidIncognitoPolicy(settings.incognitoPolicy)
+      ? settings.incognitoPolicy
+      : DEFAULT_SETTINGS.incognitoPolicy,
+    ...Object.fromEntries(VISITED_STYLE_PROPERTIES.map(({ field }) => [
+      field,
+      isValidStyleValue(settings[field]) ? settings[field] : DEFAULT_SETTINGS[field]
+    ])),
+    siteSettings: {}
+  };
+
+  if (isPlainObject(settings.siteSettings)) {
+    Object.entries(settings.siteSettings).forEach(([pattern, rule]) => {
+      if (!getSitePattern(pattern) || !isPlainObject(rule)) {
+        return;
+      }
+
+      repaired.siteSettings[pattern] = Object.fromEntries(
+        Object.entries(rule).filter(([field, value]) => isValidSiteRuleField(field, value))
+      );
+    });
+  }
+
+  return repaired;
+};
+
+// Returns upgraded settings and whether they differ from what is stored
+const prepareStoredSettings = (stored) => {
+  if (!isPlainObject(stored)) {
+    return { settings: cloneDefaultSettings(), changed: stored !== undefined };
+  }
+
+  // Written by a newer version: shown as far as this version understands it, never rewritten
+  if (isNewerSchema(stored)) {
+    return { settings: { ...repairSettings(stored), schemaVersion: stored.schemaVersion }, changed: false };
+  }
+
+  const settings = repairSettings(migrateSettings(stored));
+  return { settings, changed: JSON.stringify(settings) !== JSON.stringify(stored) };
+};
+
+const hexToRgb = (hex) => {
+  const digits = hex.length === 4 ? hex.slice(1).split('').map((digit) => digit + digit).join('') : hex.slice(1);
+  return [0, 2, 4].map((offset) => parseInt(digits.slice(offset, offset + 2), 16));
+};
+
+const rgbToHex = (rgb) => '#' + rgb.map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('');
+
+const rgbToHsl = ([red, green, blue]) => {
+  const [r, g, b] = [red / 255, green / 255, blue / 255];
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  if (max === min) {
+    return [0, 0, lightness];
+  }
+
+  const delta = max - min;
+  const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  let hue;
+  if (max === r) {
+    hue = (g - b) / delta + (g < b ? 6 : 0);
+  } else if (max === g) {
+    hue = (b - r) / delta + 2;
+  } else {
+    hue = (r - g) / delta + 4;
+  }
+  return [hue / 6, saturation, lightness];
+};
+
+const hslToRgb = ([hue, saturation, lightness]) => {
+  if (saturation === 0) {
+    return [lightness * 255, lightness * 255, lightness * 255];
+  }
+
+  const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation;
+  const p = 2 * lightness - q;
+  const channel = (t) => {
+    const wrapped = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+    if (wrapped < 1 / 6) return p + (q - p) * 6 * wrapped;
+    if (wrapped < 1 / 2) return q;
+    if (wrapped < 2 / 3) return p + (q - p) * (2 / 3 - wrapped) * 6;
+    return p;
+  };
+  return [channel(hue + 1 / 3), channel(hue), channel(hue - 1 / 3)].map((value) => value * 255);
+};
+
+// WCAG 2 relative luminance and contrast ratio
+const getRelativeLuminance = (rgb) => {
+  const [r, g, b] = rgb.map((channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+const getContrastRatio = (first, second) => {
+  const [lighter, darker] = [getRelativeLuminance(first), getRelativeLuminance(second)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// Moves the color's lightness away from the background, keeping hue and saturation, until the
+// target ratio is met; if no lightness reaches it the most contrasting one is used
+const ensureContrast = (color, background, targetRatio) => {
+  const backgroundRgb = hexToRgb(background);
+  if (getContrastRatio(hexToRgb(color), backgroundRgb) >= targetRatio) {
+    return color;
+  }
+
+  const [hue, saturation, lightness] = rgbToHsl(hexToRgb(color));
+  const step = getRelativeLuminance(backgroundRgb) < 0.179 ? 0.01 : -0.01;
+  let candidate = hexToRgb(color);
+  for (let next = lightness + step; next >= 0 && next <= 1; next += step) {
+    candidate = hslToRgb([hue, saturation, next]);
+    if (getContrastRatio(candidate, backgroundRgb) >= targetRatio) {
+      break;
+    }
+  }
+  return rgbToHex(candidate);
+};
+
+// Every change records when it happened per field so concurrent edits can be merged field by field
+let lastRevision = 0;
+const nextRevision = () => {
+  lastRevision = Math.max(Date.now(), lastRevision + 1);
+  return lastRevision;
+};
+
+const emptyRevisions = () => ({
+  global: {},
+  sites: {},
+  removed: {},
+  destinations: {},
+  removedDestinations: {},
+  profiles: {},
+  removedProfiles: {},
+  profileSites: {},
+  removedProfileSites: {},
+  compatOverrides: {},
+  removedCompatOverrides: {}
+});
+
+const sanitizeRevisionMap = (value) => Object.fromEntries(
+  Object.entries(isPlainObject(value) ? value : {}).filter(([, revision]) => Number.isFinite(revision))
+);
+
+// Picks the newer of two versions of one field; equal revisions resolve the same way on every device
+const pickNewer = (local, remote) => {
+  if (local.revision !== remote.revision) {
+    return local.revision > remote.revision ? local : remote;
+  }
+  return JSON.stringify(local) >= JSON.stringify(remote) ? local : remote;
+};
+
+const fieldVersion = (values, revisions, field) => ({
+  present: values !== undefined && Object.prototype.hasOwnProperty.call(values, field),
+  value: values?.[field],
+  revision: revisions?.[field] || 0
+});
+
+const mergeRemovals = (local, remote) => {
+  const removed = { ...local };
+  Object.entries(remote).forEach(([key, revision]) => {
+    removed[key] = Math.max(removed[key] || 0, revision);
+  });
+  return removed;
+};
+
+// Merges two versions of a keyed collection ({ entries, revisions }) entry by entry and field by field;
+// a removal only wins over edits made before it
+const mergeCollections = (local, remote, removed) => {
+  const entries = {};
+  const revisions = {};
+
+  const keys = new Set([...Object.keys(local.entries), ...Object.keys(remote.entries)]);
+  keys.forEach((key) => {
+    const localEntry = local.entries[key];
+    const remoteEntry = remote.entries[key];
+    const localRevisions = local.revisions[key] || {};
+    const remoteRevisions = remote.revisions[key] || {};
+
+    const entry = {};
+    const entryRevisions = {};
+    const fields = new Set([
+      ...Object.keys(localEntry || {}), ...Object.keys(remoteEntry || {}),
+      ...Object.keys(localRevisions), ...Object.keys(remoteRevisions)
+    ]);
+    fields.forEach((field) => {
+      const winner = pickNewer(
+        fieldVersion(localEntry, localRevisions, field),
+        fieldVersion(remoteEntry, remoteRevisions, field)
+      );
+      if (winner.present) {
+        entry[field] = winner.value;
+      }
+      if (winner.revision) {
+        entryRevisions[field] = winner.revision;
+      }
+    });
+
+    const newestEdit = Math.max(0, ...Object.values(entryRevisions));
+    if (removed[key] && removed[key] >= newestEdit) {
+      return;
+    }
+
+    entries[key] = entry;
+    if (Object.keys(entryRevisions).length > 0) {
+      revisions[key] = entryRevisions;
+    }
+  });
+
+  return { entries, revisions };
+};
+
+const indexDestinationRules = (rules) => Object.fromEntries((rules || []).map(({ id, ...rule }) => [id, rule]));
+
+// Profiles are kept as two collections so edits merge field by field: each profile's name and style,
+// and each of its site overrides under "<profile id> <site pattern>" (patterns never contain spaces)
+const getProfileSiteKey = (profileId, pattern) => `${profileId} ${pattern}`;
+
+const flattenProfiles = (profiles) => Object.fromEntries(Object.entries(profiles || {}).map(([id, profile]) => [
+  id,
+  { name: profile.name, ...profile.style }
+]));
+
+const flattenProfileSites = (profiles) => Object.fromEntries(Object.entries(profiles || {}).flatMap(([id, profile]) => (
+  Object.entries(profile.siteSettings || {}).map(([pattern, rule]) => [getProfileSiteKey(id, pattern), rule])
+)));
+
+const unflattenProfiles = (entries, siteEntries) => {
+  const profiles = Object.fromEntries(Object.entries(entries).map(([id, { name, ...style }]) => [
+    id,
+    { name, style, siteSettings: {} }
+  ]));
+  Object.entries(siteEntries).forEach(([key, rule]) => {
+    const separator = key.indexOf(' ');
+    const profile = profiles[key.slice(0, separator)];
+    if (profile) {
+      profile.siteSettings[key.slice(separator + 1)] = rule;
+    }
+  });
+  return profiles;
+};
+
+// Settings fields kept as keyed collections outside the main item
+const COLLECTION_FIELDS = ['siteSettings', 'destinationRules', 'profiles', 'compatRuleOverrides'];
+
+// Keyed collections besides the site rules, by their revisions key. Each has shards of its own
+// in sync storage and a map of removal revisions; getEntries lists its entries in a settings object.
+const SETTINGS_COLLECTIONS = {
+  destinations: {
+    prefix: DESTINATION_SHARD_PREFIX,
+    countKey: 'destinationShards',
+    removedKey: 'removedDestinations',
+    getEntries: (settings) => indexDestinationRules(settings.destinationRules)
+  },
+  profiles: {
+    prefix: PROFILE_SHARD_PREFIX,
+    countKey: 'profileShards',
+    removedKey: 'removedProfiles',
+    getEntries: (settings) => flattenProfiles(settings.profiles)
+  },
+  profileSites: {
+    prefix: PROFILE_SITE_SHARD_PREFIX,
+    countKey: 'profileSiteShards',
+    removedKey: 'removedProfileSites',
+    getEntries: (settings) => flattenProfileSites(settings.profiles)
+  },
+  compatOverrides: {
+    prefix: COMPAT_OVERRIDE_SHARD_PREFIX,
+    countKey: 'compatOverrideShards',
+    removedKey: 'removedCompatOverrides',
+    getEntries: (settings) => settings.compatRuleOverrides || {}
+  }
+};
+
+// The settings fields made from the collections' entries; merges and partial reads may leave
+// entries without required fields, which are dropped here
+const buildCollectionSettings = (entries) => ({
+  destinationRules: repairDestinationRules(
+    Object.entries(entries.destinations).map(([id, rule]) => ({ id, ...rule }))
+  ),
+  profiles: repairProfiles(unflattenProfiles(entries.profiles, entries.profileSites)),
+  compatRuleOverrides: repairCompatOverrides(entries.compatOverrides)
+});
+
+// Merges two { settings, revisions } states field by field, newest edit wins
+const mergeSettingsStates = (local, remote) => {
+  const settings = { ...remote.settings };
+  const revisions = emptyRevisions();
+
+  const globalFields = new Set([...Object.keys(local.settings), ...Object.keys(remote.settings)]);
+  [...COLLECTION_FIELDS, 'schemaVersion'].forEach((field) => globalFields.delete(field));
+  globalFields.forEach((field) => {
+    const winner = pickNewer(
+      fieldVersion(local.settings, local.revisions.global, field),
+      fieldVersion(remote.settings, remote.revisions.global, field)
+    );
+    if (winner.present) {
+      settings[field] = winner.value;
+    } else {
+      delete settings[field];
+    }
+    if (winner.revision) {
+      revisions.global[field] = winner.revision;
+    }
+  });
+
+  revisions.removed = mergeRemovals(local.revisions.removed, remote.revisions.removed);
+  const sites = mergeCollections(
+    { entries: local.settings.siteSettings || {}, revisions: local.revisions.sites },
+    { entries: remote.settings.siteSettings || {}, revisions: remote.revisions.sites },
+    revisions.removed
+  );
+  settings.siteSettings = sites.entries;
+  revisions.sites = sites.revisions;
+
+  const entries = {};
+  Object.entries(SETTINGS_COLLECTIONS).forEach(([name, { removedKey, getEntries }]) => {
+    revisions[removedKey] = mergeRemovals(local.revisions[removedKey], remote.revisions[removedKey]);
+    const merged = mergeCollections(
+      { entries: getEntries(local.settings), revisions: local.revisions[name] },
+      { entries: getEntries(remote.settings), revisions: remote.revisions[name] },
+      revisions[removedKey]
+    );
+    entries[name] = merged.entries;
+    revisions[name] = merged.revisions;
+  });
+
+  return { settings: { ...settings, ...buildCollectionSettings(entries) }, revisions };
+};
+
+// Applies a list of single-field changes from the popup, options page or worker
+const applySettingsChanges = (state, changes) => {
+  const settings = JSON.parse(JSON.stringify(state.settings));
+  const revisions = JSON.parse(JSON.stringify(state.revisions));
+
+  changes.forEach((change) => {
+    const revision = nextRevision();
+
+    switch (change.type) {
+      case 'setGlobal':
+        if ([...COLLECTION_FIELDS, 'schemaVersion'].includes(change.field)) {
+          break;
+        }
+        settings[change.field] = change.value;
+        revisions.global[change.field] = revision;
+        break;
+
+      case 'setSite':
+        settings.siteSettings[change.site] = { ...(settings.siteSettings[change.site] || {}), [change.field]: change.value };
+        revisions.sites[change.site] = { ...(revisions.sites[change.site] || {}), [change.field]: revision };
+        break;
+
+      case 'removeSiteField':
+        if (settings.siteSettings[change.site]) {
+          delete settings.siteSettings[change.site][change.field];
+          revisions.sites[change.site] = { ...(revisions.sites[change.site] || {}), [change.field]: revision };
+        }
+        break;
+
+      case 'removeSite':
+        delete settings.siteSettings[change.site];
+        delete revisions.sites[change.site];
+        revisions.removed[change.site] = revision;
+        break;
+
+      case 'setDestination': {
+        if (change.field === 'id') {
+          break;
+        }
+        const index = settings.destinationRules.findIndex((rule) => rule.id === change.id);
+        if (index === -1) {
+          settings.destinationRules.push({ id: change.id, [change.field]: change.value });
+        } else {
+          settings.destinationRules[index] = { ...settings.destinationRules[index], [change.field]: change.value };
+        }
+        revisions.destinations[change.id] = { ...(revisions.destinations[change.id] || {}), [change.field]: revision };
+        break;
+      }
+
+      case 'removeDestination':
+        settings.destinationRules = settings.destinationRules.filter((rule) => rule.id !== change.id);
+        delete revisions.destinations[change.id];
+        revisions.removedDestinations[change.id] = revision;
+        break;
+
+      // Profile changes name the profile by id; its name and style fields are set one at a time
+      case 'setProfile': {
+        if (change.field !== 'name' && !isProfileStyleField(change.field)) {
+          break;
+        }
+        const profile = settings.profiles[change.profile] || { style: {}, siteSettings: {} };
+        settings.profiles[change.profile] = change.field === 'name'
+          ? { ...profile, name: change.value }
+          : { ...profile, style: { ...profile.style, [change.field]: change.value } };
+        revisions.profiles[change.profile] = { ...(revisions.profiles[change.profile] || {}), [change.field]: revision };
+        break;
+      }
+
+      case 'removeProfileField':
+        if (settings.profiles[change.profile] && isProfileStyleField(change.field)) {
+          delete settings.profiles[change.profile].style[change.field];
+          revisions.profiles[change.profile] = { ...(revisions.profiles[change.profile] || {}), [change.field]: revision };
+        }
+        break;
+
+      // A removed profile takes its site overrides with it
+      case 'removeProfile': {
+        const siteKeys = Object.keys(flattenProfileSites({ [change.profile]: settings.profiles[change.profile] || {} }));
+        siteKeys.forEach((key) => {
+          delete revisions.profileSites[key];
+          revisions.removedProfileSites[key] = revision;
+        });
+        delete settings.profiles[change.profile];
+        delete revisions.profiles[change.profile];
+        revisions.removedProfiles[change.profile] = revision;
+        break;
+      }
+
+      case 'setProfileSite': {
+        const profile = settings.profiles[change.profile];
+        if (!profile || !isProfileStyleField(change.field)) {
+          break;
+        }
+        const key = getProfileSiteKey(change.profile, change.site);
+        profile.siteSettings[change.site] = { ...(profile.siteSettings[change.site] || {}), [change.field]: change.value };
+        revisions.profileSites[key] = { ...(revisions.profileSites[key] || {}), [change.field]: revision };
+        break;
+      }
+
+      // Overrides left without fields are removed whole
+      case 'removeProfileSiteField':
+      case 'removeProfileSite': {
+        const profile = settings.profiles[change.profile];
+        if (!profile?.siteSettings[change.site]) {
+          break;
+        }
+        const key = getProfileSiteKey(change.profile, change.site);
+        const rule = { ...profile.siteSettings[change.site] };
+        if (change.type === 'removeProfileSiteField') {
+          delete rule[change.field];
+        }
+        if (change.type === 'removeProfileSiteField' && Object.keys(rule).length > 0) {
+          profile.siteSettings[change.site] = rule;
+          revisions.profileSites[key] = { ...(revisions.profileSites[key] || {}), [change.field]: revision };
+        } else {
+          delete profile.siteSettings[change.site];
+          delete revisions.profileSites[key];
+          revisions.removedProfileSites[key] = revision;
+        }
+        break;
+      }
+
+      case 'setCompatOverride':
+        if (!COMPAT_RULE_ID_PATTERN.test(change.rule)) {
+          break;
+        }
+        settings.compatRuleOverrides[change.rule] = {
+          ...(settings.compatRuleOverrides[change.rule] || {}),
+          [change.field]: change.value
+        };
+        revisions.compatOverrides[change.rule] = {
+          ...(revisions.compatOverrides[change.rule] || {}),
+          [change.field]: revision
+        };
+        break;
+
+      // Overrides left without fields are removed whole, like profile site overrides
+      case 'removeCompatOverrideField':
+      case 'removeCompatOverride': {
+        if (!settings.compatRuleOverrides[change.rule]) {
+          break;
+        }
+        const override = { ...settings.compatRuleOverrides[change.rule] };
+        if (change.type === 'removeCompatOverrideField') {
+          delete override[change.field];
+        }
+        if (change.type === 'removeCompatOverrideField' && Object.keys(override).length > 0) {
+          settings.compatRuleOverrides[change.rule] = override;
+          revisions.compatOverrides[change.rule] = {
+            ...(revisions.compatOverrides[change.rule] || {}),
+            [change.field]: revision
+          };
+        } else {
+          delete settings.compatRuleOverrides[change.rule];
+          delete revisions.compatOverrides[change.rule];
+          revisions.removedCompatOverrides[change.rule] = revision;
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown settings change: ${change.type}`);
+    }
+  });
+
+  return { settings: repairSettings(settings), revisions };
+};
+
+// Expresses a whole-object update as the single-field changes that produce it
+const diffSettings = (current, next) => {
+  const changes = [];
+  const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  Object.keys(next).forEach((field) => {
+    if (![...COLLECTION_FIELDS, 'schemaVersion'].includes(field)
+      && !isSame(current[field], next[field])) {
+      changes.push({ type: 'setGlobal', field, value: next[field] });
+    }
+  });
+
+  const currentSites = current.siteSettings || {};
+  const nextSites = next.siteSettings || {};
+  Object.keys(currentSites).forEach((site) => {
+    if (!nextSites[site]) {
+      changes.push({ type: 'removeSite', site });
+    }
+  });
+  Object.entries(nextSites).forEach(([site, rule]) => {
+    const currentRule = currentSites[site] || {};
+    Object.keys(currentRule).forEach((field) => {
+      if (!(field in rule)) {
+        changes.push({ type: 'removeSiteField', site, field });
+      }
+    });
+    Object.entries(rule).forEach(([field, value]) => {
+      if (!isSame(currentRule[field], value)) {
+        changes.push({ type: 'setSite', site, field, value });
+      }
+    });
+  });
+
+  const currentDestinations = indexDestinationRules(current.destinationRules);
+  const nextDestinations = indexDestinationRules(next.destinationRules);
+  Object.keys(currentDestinations).forEach((id) => {
+    if (!nextDestinations[id]) {
+      changes.push({ type: 'removeDestination', id });
+    }
+  });
+  Object.entries(nextDestinations).forEach(([id, rule]) => {
+    Object.entries(rule).forEach(([field, value]) => {
+      if (!isSame(currentDestinations[id]?.[field], value)) {
+        changes.push({ type: 'setDestination', id, field, value });
+      }
+    });
+  });
+
+  const currentProfiles = current.profiles || {};
+  const nextProfiles = next.profiles || {};
+  Object.keys(currentProfiles).forEach((profile) => {
+    if (!nextProfiles[profile]) {
+      changes.push({ type: 'removeProfile', profile });
+    }
+  });
+  Object.entries(nextProfiles).forEach(([profile, { name, style, siteSettings }]) => {
+    const currentProfile = currentProfiles[profile] || { style: {}, siteSettings: {} };
+    if (name !== currentProfile.name) {
+      changes.push({ type: 'setProfile', profile, field: 'name', value: name });
+    }
+    Object.keys(currentProfile.style).forEach((field) => {
+      if (!(field in style)) {
+        changes.push({ type: 'removeProfileField', profile, field });
+      }
+    });
+    Object.entries(style).forEach(([field, value]) => {
+      if (!isSame(currentProfile.style[field], value)) {
+        changes.push({ type: 'setProfile', profile, field, value });
+      }
+    });
+
+    Object.keys(currentProfile.siteSettings).forEach((site) => {
+      if (!siteSettings[site]) {
+        changes.push({ type: 'removeProfileSite', profile, site });
+      }
+    });
+    Object.entries(siteSettings).forEach(([site, rule]) => {
+      const currentRule = currentProfile.siteSettings[site] || {};
+      Object.keys(currentRule).forEach((field) => {
+        if (!(field in rule)) {
+          changes.push({ type: 'removeProfileSiteField', profile, site, field });
+        }
+      });
+      Object.entries(rule).forEach(([field, value]) => {
+        if (!isSame(currentRule[field], value)) {
+          changes.push({ type: 'setProfileSite', profile, site, field, value });
+        }
+      });
+    });
+  });
+
+  const currentOverrides = current.compatRuleOverrides || {};
+  const nextOverrides = next.compatRuleOverrides || {};
+  Object.keys(currentOverrides).forEach((rule) => {
+    if (!nextOverrides[rule]) {
+      changes.push({ type: 'removeCompatOverride', rule });
+    }
+  });
+  Object.entries(nextOverrides).forEach(([rule, override]) => {
+    const currentOverride = currentOverrides[rule] || {};
+    Object.keys(currentOverride).forEach((field) => {
+      if (!(field in override)) {
+        changes.push({ type: 'removeCompatOverrideField', rule, field });
+      }
+    });
+    Object.entries(override).forEach(([field, value]) => {
+      if (!isSame(currentOverride[field], value)) {
+        changes.push({ type: 'setCompatOverride', rule, field, value });
+      }
+    });
+  });
+
+  return changes;
+};
+
+// Short FNV-1a hash, for telling whether something changed without sending all of it
+const getFingerprint = (text) => {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash = Math.imul(hash ^ text.charCodeAt(index), 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// Key-order independent comparison of stored values
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Shadow roots can't see html/body ancestors and define variables on their host
+const CSS_SCOPES = {
+  document: { root: ':root', prefix: 'html body ' },
+  shadow: { root: ':host', prefix: '' }
+};
+
+// Attribute selectors only see the href as written, so destinations are matched on its text:
+// absolute and protocol-relative forms of a host, plus relative hrefs when the page is on that host
+const escapeCSSString = (value) => value
+  .replace(/["\\]/g, '\\$&')
+  .replace(/[\n\r\f]/g, (char) => `\\${char.charCodeAt(0).toString(16)} `);
+
+const RELATIVE_HREF = '[href]:not(:is([href^="http:" i], [href^="https:" i], [href^="//"], '
+  + '[href^="mailto:" i], [href^="tel:" i], [href^="javascript:" i]))';
+
+const getHostHrefSelectors = (host) => [
+  `[href^="https://${host}/" i]`,
+  `[href^="http://${host}/" i]`,
+  `[href^="//${host}/" i]`,
+  `[href="https://${host}" i]`,
+  `[href="http://${host}" i]`
+];
+
+// Link selectors for one destination rule as seen from a page URL
+const compileDestinationSelectors = (rule, pageUrl) => {
+  const pageHost = pageUrl?.hostname.toLowerCase() || '';
+
+  switch (rule.type) {
+    case 'host':
+      return [
+        ...getHostHrefSelectors(rule.value),
+        ...(pageHost === rule.value ? [RELATIVE_HREF] : [])
+      ].map((selector) => `a${selector}`);
+
+    case 'prefix': {
+      const selectors = [`a[href^="${escapeCSSString(rule.value)}"]`];
+      // Root-relative links on the prefix's own origin
+      if (pageUrl && rule.value.toLowerCase().startsWith(`${pageUrl.origin.toLowerCase()}/`)) {
+        selectors.push(`a[href^="${escapeCSSString(rule.value.slice(pageUrl.origin.length))}"]:not([href^="//"])`);
+      }
+      return selectors;
+    }
+
+    case 'internal':
+      return pageHost
+        ? [RELATIVE_HREF, ...getHostHrefSelectors(pageHost)].map((selector) => `a${selector}`)
+        : [`a${RELATIVE_HREF}`];
+
+    case 'external': {
+      const absolute = ':is([href^="http:" i], [href^="https:" i], [href^="//"])';
+      return pageHost
+        ? [`a${absolute}:not(${getHostHrefSelectors(pageHost).join(', ')})`]
+        : [`a${absolute}`];
+    }
+
+    default:
+      return [];
+  }
+};
+
+// Registered at document_start so new documents ask for their stylesheet before first paint
+const STYLE_LOADER_ID = 'visited-style-loader';
+const STYLE_LOADER_SCRIPT = 'content-scripts/style-loader.mjs';
+const STYLE_LOADER_MATCHES = ['http://*/*', 'https://*/*'];
+
+// Registered in the page's world while marking is on, so shadow roots attached later get styled too
+const SHADOW_ROOT_HOOK_ID = 'shadow-root-hook';
+const SHADOW_ROOT_HOOK_SCRIPT = 'content-scripts/shadow-root-hook.mjs';
+const SHADOW_ROOT_HOOK_MATCHES = ['<all_urls>'];
+
+// Session storage key of the per-frame registry of injected stylesheets
+const INJECTED_STYLES_KEY = 'injectedStyles';
+
+const TOP_FRAME_ID = 0;
+
+const getFrameKey = (tabId, frameId) => `${tabId}:${frameId}`;
+
+const parseFrameKey = (key) => {
+  const [tabId, frameId] = key.split(':').map(Number);
+  return { tabId, frameId };
+};
+
+// Lowercased host of a URL, or null when it has none or doesn't parse
+const getUrlHost = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase() || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The frame a content script message came from. about:blank, srcdoc, blob: and data: frames
+// have no URL of their own, so their origin stands in for it when picking site rules.
+const getSenderFrame = (sender) => {
+  const hasOwnUrl = /^(https?|ftp):/.test(sender.url || '');
+  const originUrl = sender.origin && sender.origin !== 'null' ? `${sender.origin}/` : null;
+  return {
+    frameId: sender.frameId ?? TOP_FRAME_ID,
+    documentId: sender.documentId || null,
+    url: hasOwnUrl ? sender.url : originUrl
+  };
+};
+
+// Settings written by a newer version of the extension (e.g. synced from another device) are read,
+// never rewritten, so fields this version doesn't know survive
+const isNewerSchema = (settings) => isPlainObject(settings)
+  && Number.isInteger(settings.schemaVersion)
+  && settings.schemaVersion > SCHEMA_VERSION;
+
+const NEWER_SCHEMA_ERROR = 'Settings were saved by a newer version of the extension; update it to change them';
+
+const SETTINGS_TOO_LARGE_ERROR = 'This change doesn\'t fit in synced storage';
+
+const isQuotaError = (error) => /quota/i.test(error?.message || '');
+
+const getShardKey = (prefix, index) => `${prefix}${index}`;
+
+const getItemBytes = (key, value) => new TextEncoder().encode(key + JSON.stringify(value)).length;
+
+// A shard entry standing for a removed rule: { _removed: revision }
+const isRemovalMarker = (entry) => isPlainObject(entry) && Number.isFinite(entry._removed);
+
+// Reads and writes settings across the main sync item and its site and destination rule shards
+class SettingsStore {
+  static async read() {
+    const [syncItems, localItems] = await Promise.all([
+      chrome.storage.sync.get(null),
+      chrome.storage.local.get(null)
+    ]);
+
+    const main = syncItems[SETTINGS_KEY];
+    if (!isPlainObject(main)) {
+      return { settings: main, revisions: emptyRevisions(), complete: true };
+    }
+
+    // Schema 16 and earlier kept the revision metadata in the main item,
+    // schema 19 and earlier the destination rules, profiles and compatibility rule overrides
+    const {
+      siteShards,
+      siteSettings: inlineSiteSettings,
+      destinationRules: inlineDestinationRules,
+      profiles: inlineProfiles,
+      compatRuleOverrides: inlineCompatOverrides,
+      _rev: inlineRevisions,
+      _removed: inlineRemoved,
+      ...fields
+    } = main;
+    const shardCountKeys = Object.values(SETTINGS_COLLECTIONS).map(({ countKey }) => countKey);
+    const globals = Object.fromEntries(Object.entries(fields).filter(([field]) => !shardCountKeys.includes(field)));
+    const revisions = {
+      ...emptyRevisions(),
+      global: sanitizeRevisionMap(syncItems[SETTINGS_REVISIONS_KEY] ?? inlineRevisions),
+      removed: sanitizeRevisionMap(inlineRemoved)
+    };
+    const layout = { sync: siteShards?.sync || 0, local: siteShards?.local || 0 };
+
+    // Rules stored inline by schema 1 are still honoured
+    const siteSettings = { ...(isPlainObject(inlineSiteSettings) ? inlineSiteSettings : {}) };
+    const inlineCollections = {
+      destinationRules: repairDestinationRules(inlineDestinationRules),
+      profiles: repairProfiles(inlineProfiles),
+      compatRuleOverrides: repairCompatOverrides(inlineCompatOverrides)
+    };
+    const entries = Object.fromEntries(Object.entries(SETTINGS_COLLECTIONS).map(([name, { getEntries }]) => [
+      name,
+      getEntries(inlineCollections)
+    ]));
+    let complete = true;
+
+    const collect = (items, prefix, count, removed, addEntry) => {
+      for (let index = 0; index < count; index++) {
+        const shard = items[getShardKey(prefix, index)];
+        if (isPlainObject(shard)) {
+          Object.entries(shard).forEach(([key, entry]) => {
+            if (isRemovalMarker(entry)) {
+              removed[key] = Math.max(removed[key] || 0, entry._removed);
+              return;
+            }
+
+            const { _rev: entryRevisions, ...value } = isPlainObject(entry) ? entry : {};
+            addEntry(key, value, sanitizeRevisionMap(entryRevisions));
+          });
+        } else {
+          // A shard may not have synced yet - callers must not write back partial data
+          complete = false;
+        }
+      }
+    };
+    const addTo = (values, valueRevisions) => (key, value, entryRevisions) => {
+      values[key] = value;
+      if (Object.keys(entryRevisions).length > 0) {
+        valueRevisions[key] = entryRevisions;
+      }
+    };
+    collect(syncItems, SITE_SHARD_PREFIX, layout.sync, revisions.removed, addTo(siteSettings, revisions.sites));
+    collect(localItems, SITE_SHARD_PREFIX, layout.local, revisions.removed, addTo(siteSettings, revisions.sites));
+    Object.entries(SETTINGS_COLLECTIONS).forEach(([name, { prefix, countKey, removedKey }]) => {
+      collect(syncItems, prefix, main[countKey] || 0, revisions[removedKey], addTo(entries[name], revisions[name]));
+    });
+
+    return { settings: { ...globals, siteSettings, ...buildCollectionSettings(entries) }, revisions, complete };
+  }
+
+  static buildShards(entries) {
+    const shards = [];
+    let current = {};
+    let currentBytes = 0;
+
+    Object.keys(entries).sort().forEach((pattern) => {
+      // Quotes, colon and comma around each entry count toward the item size too
+      const entryBytes = getItemBytes(pattern, entries[pattern]) + 4;
+      if (currentBytes > 0 && currentBytes + entryBytes > SHARD_BYTE_LIMIT) {
+        shards.push(current);
+        current = {};
+        currentBytes = 0;
+      }
+      current[pattern] = entries[pattern];
+      currentBytes += entryBytes;
+    });
+
+    if (currentBytes > 0) {
+      shards.push(current);
+    }
+
+    return shards;
+  }
+
+  // Revision metadata travels with the data it describes. Removed entries are marked for as long as
+  // every device may need to see the removal, newest first within a byte budget.
+  static buildEntries(values, entryRevisions, removed, markerByteBudget) {
+    const entries = Object.fromEntries(Object.entries(values).map(([key, value]) => [
+      key,
+      entryRevisions[key] ? { ...value, _rev: entryRevisions[key] } : value
+    ]));
+
+    const now = Date.now();
+    let markerBytes = 0;
+    Object.entries(removed)
+      .filter(([key, revision]) => now - revision < REMOVAL_RETENTION_MS && !Object.hasOwn(values, key))
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([key, revision]) => {
+        const marker = { _removed: revision };
+        markerBytes += getItemBytes(key, marker);
+        if (markerBytes <= markerByteBudget) {
+          entries[key] = marker;
+        }
+      });
+
+    return entries;
+  }
+
+  static planLayout(settings, revisions) {
+    const { siteSettings = {}, ...fields } = settings;
+    const globals = Object.fromEntries(Object.entries(fields).filter(([field]) => !COLLECTION_FIELDS.includes(field)));
+
+    const siteShards = this.buildShards(
+      this.buildEntries(siteSettings, revisions.sites, revisions.removed, REMOVAL_MARKER_BYTE_BUDGET)
+    );
+    const collectionShards = Object.fromEntries(Object.entries(SETTINGS_COLLECTIONS).map(([name, { removedKey, getEntries }]) => [
+      name,
+      this.buildShards(this.buildEntries(
+        getEntries(settings),
+        revisions[name],
+        revisions[removedKey],
+        chrome.storage.sync.QUOTA_BYTES_PER_ITEM
+      ))
+    ]));
+    const collectionItemCount = Object.values(collectionShards).reduce((total, shards) => total + shards.length, 0);
+
+    // Everything but the site rules must sync
+    const requiredSyncBytes = Object.entries(collectionShards).reduce(
+      (total, [name, shards]) => shards.reduce(
+        (sum, shard, index) => sum + getItemBytes(getShardKey(SETTINGS_COLLECTIONS[name].prefix, index), shard),
+        total
+      ),
+      getItemBytes(SETTINGS_KEY, globals) + getItemBytes(SETTINGS_REVISIONS_KEY, revisions.global) + 64
+    );
+
+    // Fill sync up to the budget, keep the rest on this device instead of failing the write
+    let syncBytes = requiredSyncBytes;
+    let syncCount = 0;
+    while (syncCount < siteShards.length) {
+      const shardBytes = getItemBytes(getShardKey(SITE_SHARD_PREFIX, syncCount), siteShards[syncCount]);
+      if (syncBytes + shardBytes > SYNC_BYTE_BUDGET
+        || syncCount + collectionItemCount + 2 >= chrome.storage.sync.MAX_ITEMS) {
+        break;
+      }
+      syncBytes += shardBytes;
+      syncCount++;
+    }
+
+    return {
+      globals,
+      globalRevisions: revisions.global,
+      requiredSyncBytes,
+      collectionShards,
+      syncShards: siteShards.slice(0, syncCount),
+      localShards: siteShards.slice(syncCount)
+    };
+  }
+
+  static async write(settings, revisions) {
+    const plan = this.planLayout(settings, revisions);
+
+    // Only site rules can move to local storage, so a change that overfills the main item
+    // or the sync budget is refused
+    if (getItemBytes(SETTINGS_KEY, plan.globals) + 64 > SHARD_BYTE_LIMIT || plan.requiredSyncBytes > SYNC_BYTE_BUDGET) {
+      throw new Error(SETTINGS_TOO_LARGE_ERROR);
+    }
+
+    try {
+      await this.writeLayout(plan);
+    } catch (error) {
+      if (!isQuotaError(error)) {
+        throw error;
+      }
+
+      // Sync rejected the shards: keep every rule on this device rather than dropping anything
+      await this.writeLayout({
+        ...plan,
+        syncShards: [],
+        localShards: [...plan.syncShards, ...plan.localShards]
+      });
+    }
+  }
+
+  static async writeLayout({ globals, globalRevisions, collectionShards, syncShards, localShards }) {
+    const [syncItems, localItems] = await Promise.all([
+      chrome.storage.sync.get(null),
+      chrome.storage.local.get(null)
+    ]);
+
+    if (isNewerSchema(syncItems[SETTINGS_KEY])) {
+      throw new Error(NEWER_SCHEMA_ERROR);
+    }
+
+    const main = {
+      ...globals,
+      siteShards: { sync: syncShards.length, local: localShards.length },
+      ...Object.fromEntries(Object.entries(collectionShards).map(([name, shards]) => [
+        SETTINGS_COLLECTIONS[name].countKey,
+        shards.length
+      ]))
+    };
+
+    // Only send items whose content changed to stay under the sync write rate limits
+    const changedItems = (existing, items) => Object.fromEntries(
+      Object.entries(items).filter(([key, value]) => JSON.stringify(existing[key]) !== JSON.stringify(value))
+    );
+    const shardItems = (prefix, shards) => Object.fromEntries(
+      shards.map((shard, index) => [getShardKey(prefix, index), shard])
+    );
+    const staleShardKeys = (existing, prefix, count) => Object.keys(existing)
+      .filter((key) => key.startsWith(prefix) && Number(key.slice(prefix.length)) >= count);
+
+    const nextLocal = changedItems(localItems, shardItems(SITE_SHARD_PREFIX, localShards));
+    const nextSync = changedItems(syncItems, {
+      ...shardItems(SITE_SHARD_PREFIX, syncShards),
+      ...Object.entries(collectionShards).reduce((items, [name, shards]) => ({
+        ...items,
+        ...shardItems(SETTINGS_COLLECTIONS[name].prefix, shards)
+      }), {}),
+      [SETTINGS_REVISIONS_KEY]: globalRevisions,
+      [SETTINGS_KEY]: main
+    });
+
+    // Shards first, main item last, so readers never follow the main item to missing shards
+    if (Object.keys(nextLocal).length > 0) {
+      await chrome.storage.local.set(nextLocal);
+    }
+    if (Object.keys(nextSync).length > 0) {
+      await chrome.storage.sync.set(nextSync);
+    }
+
+    const staleSync = [
+      ...staleShardKeys(syncItems, SITE_SHARD_PREFIX, syncShards.length),
+      ...Object.entries(collectionShards).flatMap(([name, shards]) => (
+        staleShardKeys(syncItems, SETTINGS_COLLECTIONS[name].prefix, shards.length)
+      ))
+    ];
+    const staleLocal = staleShardKeys(localItems, SITE_SHARD_PREFIX, localShards.length);
+    if (staleSync.length > 0) {
+      await chrome.storage.sync.remove(staleSync);
+    }
+    if (staleLocal.length > 0) {
+      await chrome.storage.local.remove(staleLocal);
+    }
+  }
+
+  static async getUsage() {
+    const [syncBytesInUse, syncItems] = await Promise.all([
+      chrome.storage.sync.getBytesInUse(null),
+      chrome.storage.sync.get(SETTINGS_KEY)
+    ]);
+    const { settings } = await this.read();
+    const layout = syncItems[SETTINGS_KEY]?.siteShards || { sync: 0, local: 0 };
+    const localItems = await chrome.storage.local.get(
+      Array.from({ length: layout.local }, (value, index) => getShardKey(SITE_SHARD_PREFIX, index))
+    );
+    const localRules = Object.values(localItems).reduce((count, shard) => count
+      + Object.values(shard || {}).filter((entry) => !isRemovalMarker(entry)).length, 0);
+    const totalRules = Object.keys(settings?.siteSettings || {}).length;
+
+    return {
+      syncBytesInUse,
+      syncQuotaBytes: chrome.storage.sync.QUOTA_BYTES,
+      syncShards: layout.sync,
+      localShards: layout.local,
+      syncedRules: totalRules - localRules,
+      localRules
+    };
+  }
+}
+
+class VisitedLinkService {
+  constructor() {
+    this.settings = cloneDefaultSettings();
+    this.revisions = emptyRevisions();
+    // Writes run one at a time so read-merge-write cycles never interleave
+    this.writeQueue = Promise.resolve();
+    // Page scheme and link background, as reported by the content script in each tab frame
+    this.pageColors = new Map();
+    // What is known about the hrefs each tab frame reported:
+    // "tabId:frameId" -> { documentId, tiers (href -> recency tier), normalized (hrefs visited when normalized) }
+    this.reportedLinks = new Map();
+    // They are lost when the worker stops, so content scripts are told to report again after a restart
+    this.reportedLinksSession = crypto.randomUUID();
+    // "tabId:frameId" -> pending restyle after reported links
+    this.reportRestyleTimeouts = new Map();
+    // Normalized URL key -> time of the last visit, oldest first; saved to local storage shortly after changes
+    this.normalizedVisits = new Map();
+    this.normalizedVisitsSaveTimeout = null;
+    this.normalizedVisitsLoaded = this.loadNormalizedVisits();
+    // Exactly what is injected in each tab frame ("tabId:frameId" -> { css, documentId, stale }),
+    // so it can be swapped or removed
+    this.injectedStyles = new Map();
+    this.styleOperations = new Map();
+    this.injectedStylesLoaded = this.loadInjectedStyles();
+    // Registration changes run one at a time; the key of the last registrations avoids redundant updates
+    this.registrationQueue = Promise.resolve();
+    this.registeredScripts = null;
+    // Active site compatibility rule pack and the one shipped with the extension
+    this.compatPack = null;
+    this.builtInCompatPack = null;
+    this.compatPackLoaded = this.loadCompatPack();
+    // Snoozes in effect, kept in local storage so they outlive the worker
+    this.snoozes = { global: null, sites: {} };
+    this.snoozesLoaded = this.loadSnoozes();
+    // Incognito-only colors and site rules, from local storage
+    this.incognitoSettings = repairIncognitoSettings({}, DEFAULT_SETTINGS);
+    this.incognitoSettingsLoaded = this.loadIncognitoSettings();
+    // Event handlers wait for this; listeners are added before it settles (see the end of the file)
+    this.settingsLoaded = this.loadSettings();
+    // No caching - always generate fresh CSS and settings
+    this.init();
+  }
+
+  async init() {
+    try {
+      // Load settings from storage
+      await this.settingsLoaded;
+
+      // New documents are styled by the registered loader
+      await this.syncRegisteredScripts();
+
+      // The pause alarm may be missing after an update or point at a snooze that already ended
+      await this.snoozesLoaded;
+      await this.schedulePauseAlarm();
+
+      // Menu items are recreated on every start so their state matches the settings
+      await this.setupContextMenus();
+      await this.updateAllActionStates();
+      
+      // Inject CSS on all existing tabs immediately
+      await this.updateAllTabs();
+      
+    } catch (error) {
+      // Error initializing service
+    }
+  }
+
+  async loadSettings() {
+    try {
+      const stored = await SettingsStore.read();
+      const { settings, changed } = prepareStoredSettings(stored.settings);
+      this.settings = settings;
+      this.revisions = stored.revisions;
+
+      // Persist upgrades so every reader sees the current schema
+      if (changed && stored.complete && stored.settings !== undefined) {
+        await this.setSettings(settings);
+      }
+    } catch (error) {
+      this.settings = cloneDefaultSettings();
+      this.revisions = emptyRevisions();
+    }
+  }
+
+  async migrateStoredSettings() {
+    await this.loadSettings();
+    await this.updateAllTabs();
+  }
+
+  async initializeDefaultSettings() {
+    try {
+      const currentSettings = await this.getSettings();
+      
+      if (!currentSettings || Object.keys(currentSettings).length === 0) {
+        await this.setSettings(cloneDefaultSettings());
+      }
+    } catch (error) {
+      // Error initializing default settings
+    }
+  }
+
+  async handleMessage(message, sender, sendResponse) {
+    try {
+      await this.settingsLoaded;
+      switch (message.action) {
+        case 'getSettings':
+          const settings = await this.getSettings();
+          sendResponse({ success: true, data: settings });
+          break;
+
+        case 'getDefaultSettings':
+          sendResponse({ success: true, data: cloneDefaultSettings() });
+          break;
+
+        case 'updateSettings':
+          await this.updateSettings(message.settings);
+          sendResponse({ success: true });
+          break;
+
+        case 'patchSettings':
+          await this.patchSettings(message.changes);
+          sendResponse({ success: true });
+          break;
+
+        case 'setSettings':
+          await this.replaceSettings(message.settings);
+          sendResponse({ success: true });
+          break;
+
+        case 'getStorageUsage':
+          sendResponse({ success: true, data: await SettingsStore.getUsage() });
+          break;
+
+        case 'getSiteRules':
+          await this.incognitoSettingsLoaded;
+          sendResponse({ success: true, data: this.getSiteRulesForUrl(message.url, message.incognito) });
+          break;
+
+        case 'injectCSS':
+          // Content scripts and the loader are identified by their sender; extension pages name a tab
+          if (message.tabId) {
+            await this.injectCSS(message.tabId);
+          } else {
+            await this.injectCSS(sender.tab?.id, getSenderFrame(sender));
+          }
+          // Content scripts only measure the page and report its links when the settings use them
+          sendResponse({
+            success: true,
+            data: { pageColors: this.needsPageColors(), linkReports: await this.getLinkReportKey() }
+          });
+          break;
+
+        case 'getShadowCSS':
+          sendResponse({ success: true, data: await this.getShadowCSS(sender.tab?.id, getSenderFrame(sender)) });
+          break;
+
+        case 'reportPageColors':
+          await this.setPageColors(sender.tab?.id, getSenderFrame(sender), message.scheme, message.linkBackground);
+          sendResponse({ success: true });
+          break;
+
+        case 'getCompatRules':
+          sendResponse({ success: true, data: await this.getCompatRules() });
+          break;
+
+        case 'importCompatRules':
+          sendResponse({ success: true, data: await this.importCompatPack(message.pack) });
+          break;
+
+        case 'resetCompatRules':
+          await this.resetCompatPack();
+          sendResponse({ success: true });
+          break;
+
+        case 'getIncognitoSettings':
+          await this.incognitoSettingsLoaded;
+          sendResponse({ success: true, data: this.incognitoSettings });
+          break;
+
+        case 'patchIncognitoSettings':
+          await this.patchIncognitoSettings(message.changes);
+          sendResponse({ success: true });
+          break;
+
+        case 'getPauseState':
+          await this.snoozesLoaded;
+          sendResponse({ success: true, data: this.getPauseState(message.url) });
+          break;
+
+        case 'snooze':
+          await this.snooze(message.scope, message.site, message.duration, message.tabId);
+          sendResponse({ success: true });
+          break;
+
+        case 'resumeSnooze':
+          await this.resumeSnooze(message.scope, message.site);
+          sendResponse({ success: true });
+          break;
+
+        case 'reportLinks':
+          sendResponse({ success: true, data: await this.recordReportedLinks(sender.tab?.id, getSenderFrame(sender), message.links) });
+          break;
+
+        case 'ping':
+          sendResponse({ success: true });
+          break;
+
+        default:
+          sendResponse({ success: false, error: 'Unknown action' });
+      }
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  // Shortcuts change settings through updateSettings, like the popup, so every page and tab follows
+  async handleCommand(command, tab) {
+    try {
+      await this.settingsLoaded;
+      const [activeTab] = tab ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+
+      switch (command) {
+        case 'toggle-global':
+          await this.updateSettings({ enabled: !this.settings.enabled });
+          break;
+
+        case 'toggle-site':
+          await this.updateSiteRuleForUrl(activeTab?.url, (siteSettings) => ({
+            enabled: siteSettings.enabled === false
+          }), activeTab?.incognito);
+          break;
+
+        case 'cycle-site-color':
+          await this.updateSiteRuleForUrl(activeTab?.url, (siteSettings) => ({
+            visitedColor: getNextPresetColor(siteSettings.visitedColor || this.getStyleSettings(activeTab?.incognito).visitedColor)
+          }), activeTab?.incognito);
+          break;
+
+        default:
+          break;
+      }
+    } catch (error) {
+      // Shortcuts have nowhere to report errors
+    }
+  }
+
+  // Edits the most specific rule matching the URL, or starts a rule for its host.
+  // Style fields go to the active profile's site overrides when a profile is in use, and
+  // incognito tabs with separate settings edit the incognito site rules instead.
+  async updateSiteRuleForUrl(url, getChanges, incognito = false) {
+    if (!url || !this.shouldInjectOnSite(url) || !this.canEditSiteRules(incognito)) {
+      return;
+    }
+
+    const matches = this.getMatchingSiteRules(url, incognito);
+    const ruleKey = matches.length > 0 ? matches[matches.length - 1].pattern : new URL(url).hostname;
+    if (this.usesIncognitoSettings(incognito)) {
+      const changes = Object.entries(getChanges(this.resolveSiteSettings(url, true)));
+      await this.patchIncognitoSettings(changes.map(([field, value]) => ({ type: 'setSite', site: ruleKey, field, value })));
+      return;
+    }
+
+    const profile = this.getActiveProfile() ? this.settings.activeProfile : null;
+    const changes = Object.entries(getChanges(this.resolveSiteSettings(url)));
+    await this.patchSettings(changes.map(([field, value]) => (profile && isProfileStyleField(field)
+      ? { type: 'setProfileSite', profile, site: ruleKey, field, value }
+      : { type: 'setSite', site: ruleKey, field, value })));
+  }
+
+  async loadIncognitoSettings() {
+    try {
+      const stored = await chrome.storage.local.get(INCOGNITO_SETTINGS_KEY);
+      this.incognitoSettings = repairIncognitoSettings(stored[INCOGNITO_SETTINGS_KEY], DEFAULT_SETTINGS);
+    } catch (error) {
+      // Start from the normal colors without site rules
+    }
+  }
+
+  async patchIncognitoSettings(changes) {
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return;
+    }
+
+    await this.incognitoSettingsLoaded;
+    const next = applyIncognitoChanges(this.incognitoSettings, changes);
+    await chrome.storage.local.set({ [INCOGNITO_SETTINGS_KEY]: next });
+    this.incognitoSettings = next;
+    await this.refreshAllTabs();
+  }
+
+  usesIncognitoSettings(incognito) {
+    return Boolean(incognito) && this.settings.incognitoPolicy === 'separate';
+  }
+
+  // Sites visited in incognito never reach the synced settings; only separate incognito settings,
+  // kept in local storage, can hold rules for them
+  canEditSiteRules(incognito) {
+    return !incognito || this.usesIncognitoSettings(incognito);
+  }
+
+  async loadSnoozes() {
+    try {
+      const stored = (await chrome.storage.local.get(SNOOZES_KEY))[SNOOZES_KEY];
+      if (isPlainObject(stored)) {
+        this.snoozes = {
+          global: stored.global || null,
+          sites: isPlainObject(stored.sites) ? stored.sites : {}
+        };
+      }
+
+      // Tab ids don't survive a browser restart, so snoozes for tabs that are gone end here
+      const openTabs = new Set((await chrome.tabs.query({})).map((tab) => tab.id));
+      if (this.pruneSnoozes((entry) => !Number.isInteger(entry.tabId) || openTabs.has(entry.tabId))) {
+        await this.saveSnoozes();
+      }
+    } catch (error) {
+      // Start without snoozes
+    }
+  }
+
+  async saveSnoozes() {
+    try {
+      await chrome.storage.local.set({ [SNOOZES_KEY]: this.snoozes });
+    } catch (error) {
+      // Snoozes stay in memory until the next write
+    }
+  }
+
+  // Drops ended snoozes and those failing keep(); true when anything was dropped
+  pruneSnoozes(keep = () => true) {
+    const now = Date.now();
+    const isKept = (entry) => isSnoozeActive(entry, now) && keep(entry);
+    let changed = false;
+
+    if (this.snoozes.global && !isKept(this.snoozes.global)) {
+      this.snoozes.global = null;
+      changed = true;
+    }
+    Object.entries(this.snoozes.sites).forEach(([pattern, entry]) => {
+      if (!isKept(entry)) {
+        delete this.snoozes.sites[pattern];
+        changed = true;
+      }
+    });
+
+    return changed;
+  }
+
+  // Why marking is paused for the URL, if it is: a global snooze, a site snooze or the schedule.
+  // until is when it resumes (null for tab snoozes), tabId the tab whose closing resumes it.
+  getPauseState(url) {
+    const now = Date.now();
+    const describe = (reason, entry, pattern = null) => ({
+      paused: true,
+      reason,
+      pattern,
+      until: entry.until ?? null,
+      tabId: entry.tabId ?? null
+    });
+
+    if (isSnoozeActive(this.snoozes.global, now)) {
+      return describe('global', this.snoozes.global);
+    }
+
+    let urlObj = null;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      // Site snoozes need a URL
+    }
+    const site = urlObj && Object.entries(this.snoozes.sites)
+      .find(([pattern, entry]) => isSnoozeActive(entry, now) && getSitePattern(pattern)?.test(urlObj));
+    if (site) {
+      return describe('site', site[1], site[0]);
+    }
+
+    const { schedule } = this.settings;
+    if (schedule.enabled && !isWithinSchedule(schedule, new Date(now))) {
+      return describe('schedule', { until: getNextScheduleChange(schedule, now) });
+    }
+
+    return { paused: false, reason: null, pattern: null, until: null, tabId: null };
+  }
+
+  async snooze(scope, site, duration, tabId) {
+    if (!SNOOZE_OPTIONS.some((option) => option.duration === duration)) {
+      throw new Error('Unknown snooze duration');
+    }
+    if (scope === 'site' && !getSitePattern(site)) {
+      throw new Error('Invalid site pattern');
+    }
+    if (duration === 'tab' && !Number.isInteger(tabId)) {
+      throw new Error('A tab is needed to snooze until it closes');
+    }
+
+    await this.snoozesLoaded;
+    const entry = duration === 'tab' ? { tabId } : { until: getSnoozeEnd(duration, Date.now()) };
+    if (scope === 'site') {
+      this.snoozes.sites[site] = entry;
+    } else {
+      this.snoozes.global = entry;
+    }
+    await this.applyPauseChange();
+  }
+
+  async resumeSnooze(scope, site) {
+    await this.snoozesLoaded;
+    if (scope === 'site') {
+      delete this.snoozes.sites[site];
+    } else {
+      this.snoozes.global = null;
+    }
+    await this.applyPauseChange();
+  }
+
+  async endTabSnoozes(tabId) {
+    await this.snoozesLoaded;
+    if (this.pruneSnoozes((entry) => entry.tabId !== tabId)) {
+      await this.applyPauseChange();
+    }
+  }
+
+  async handlePauseAlarm() {
+    await this.settingsLoaded;
+    await this.snoozesLoaded;
+    if (this.pruneSnoozes()) {
+      await this.saveSnoozes();
+    }
+    await this.schedulePauseAlarm();
+    await this.refreshAllTabs();
+  }
+
+  async applyPauseChange() {
+    await this.saveSnoozes();
+    await this.schedulePauseAlarm();
+    await this.refreshAllTabs();
+  }
+
+  // Alarms survive worker restarts, so the next change is picked up even after a long sleep
+  async schedulePauseAlarm() {
+    try {
+      const now = Date.now();
+      const { global, sites } = this.snoozes;
+      const changes = [global, ...Object.values(sites)]
+        .filter((entry) => isSnoozeActive(entry, now) && typeof entry.until === 'number')
+        .map((entry) => entry.until);
+      if (this.settings.schedule.enabled) {
+        changes.push(getNextScheduleChange(this.settings.schedule, now));
+      }
+
+      const next = Math.min(...changes.filter((time) => time !== null));
+      if (Number.isFinite(next)) {
+        await chrome.alarms.create(PAUSE_ALARM, { when: next });
+      } else {
+        await chrome.alarms.clear(PAUSE_ALARM);
+      }
+    } catch (error) {
+      // Without the alarm, pauses are re-evaluated on the next settings change or start
+    }
+  }
+
+  // Pausing and resuming change what every tab should show
+  async refreshAllTabs() {
+    await this.notifyAllTabs({
+      action: 'updateSettings',
+      settings: this.settings
+    });
+    await this.updateAllTabs();
+    await this.updateAllActionStates();
+    await this.refreshContextMenus();
+  }
+
+  async getActionState(tab) {
+    if (!tab.url || !this.shouldInjectOnSite(tab.url)) {
+      return ACTION_STATES.restricted;
+    }
+    if (!this.settings.enabled) {
+      return ACTION_STATES.globalDisabled;
+    }
+    if (tab.incognito && this.settings.incognitoPolicy === 'disabled') {
+      return ACTION_STATES.incognitoDisabled;
+    }
+    if (this.resolveSiteSettings(tab.url, tab.incognito).enabled === false) {
+      return ACTION_STATES.siteDisabled;
+    }
+
+    const effective = await this.getEffectiveSettings(tab.id);
+    if (!effective.enabled) {
+      return ACTION_STATES.paused;
+    }
+    if (!this.settings.badgeColorSwatch) {
+      return ACTION_STATES.active;
+    }
+
+    // A blank badge in the color the page uses for visited links
+    const color = effective.colorScheme === 'dark' ? effective.visitedColorDark : effective.visitedColor;
+    return { ...ACTION_STATES.active, text: ' ', color };
+  }
+
+  async updateActionState(tab) {
+    try {
+      await this.showActionState(tab, await this.getActionState(tab));
+    } catch (error) {
+      // The tab may have closed in the meantime
+    }
+  }
+
+  async showActionState(tab, { text, color, title }) {
+    try {
+      await chrome.action.setBadgeText({ tabId: tab.id, text });
+      if (color) {
+        await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color });
+      }
+      await chrome.action.setTitle({ tabId: tab.id, title });
+    } catch (error) {
+      // The tab may have closed in the meantime
+    }
+  }
+
+  async updateAllActionStates() {
+    try {
+      const tabs = await chrome.tabs.query({});
+      await Promise.all(tabs.map((tab) => this.updateActionState(tab)));
+    } catch (error) {
+      // Error updating badges
+    }
+  }
+
+  async setupContextMenus() {
+    try {
+      await chrome.contextMenus.removeAll();
+      CONTEXT_MENU_ITEMS.forEach(({ id, title, contexts, type = 'normal' }) => {
+        chrome.contextMenus.create({ id, title, contexts, type, documentUrlPatterns: CONTEXT_MENU_PATTERNS });
+      });
+      await this.refreshContextMenus();
+    } catch (error) {
+      // Menus are optional; everything else keeps working without them
+    }
+  }
+
+  // Menu state follows the effective settings of the active tab. Link items can't know the link
+  // before the menu opens, so only the page's own state is shown.
+  async refreshContextMenus() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      if (!tab || !tab.url || !this.shouldInjectOnSite(tab.url)) {
+        return;
+      }
+
+      // A paused site isn't disabled; the checkbox only shows the site rule's own choice
+      const { enabled } = await this.getEffectiveSettings(tab.id);
+      const siteDisabled = !enabled && this.resolveSiteSettings(tab.url, tab.incognito).enabled === false;
+      await chrome.contextMenus.update('disable-site', {
+        checked: siteDisabled,
+        enabled: this.settings.enabled && this.canEditSiteRules(tab.incognito)
+      });
+      // Destination rules are synced, so incognito tabs don't offer to add one. A full list still
+      // recolors sites that have a rule, but can't take new ones.
+      const full = this.settings.destinationRules.length >= MAX_DESTINATION_RULES;
+      const { title } = CONTEXT_MENU_ITEMS.find((item) => item.id === 'color-link-site');
+      await chrome.contextMenus.update('color-link-site', {
+        enabled: enabled && !tab.incognito,
+        title: full ? COLOR_LINK_SITE_FULL_TITLE : title
+      });
+    } catch (error) {
+      // Menus may not exist yet
+    }
+  }
+
+  // Marking links asks for history access, which has to start before the settings are awaited
+  async handleContextMenuClick(info, tab) {
+    try {
+      if (info.menuItemId === 'mark-link-visited' || info.menuItemId === 'mark-link-unvisited') {
+        await this.setLinkVisited(info.linkUrl, info.menuItemId === 'mark-link-visited', tab);
+        return;
+      }
+
+      await this.settingsLoaded;
+      switch (info.menuItemId) {
+        case 'color-link-site':
+          await this.colorLinksToSite(info.linkUrl, tab);
+          break;
+
+        case 'disable-site':
+          await this.updateSiteRuleForUrl(tab?.url, () => ({ enabled: !info.checked }), tab?.incognito);
+          break;
+
+        default:
+          break;
+      }
+    } catch (error) {
+      // Menu clicks have nowhere to report errors
+    }
+  }
+
+  // Adds the URL to (or deletes it from) the browser history, asking for history access first.
+  // The request has to start before anything is awaited so it still counts as a user gesture.
+  async setLinkVisited(url, visited, tab) {
+    if (!url || !/^https?:\/\//i.test(url)) {
+      return;
+    }
+
+    const granted = await chrome.permissions.request({ permissions: ['history'] }).catch(() => false);
+    if (!granted || !chrome.history) {
+      return;
+    }
+    await this.settingsLoaded;
+
+    if (visited) {
+      await chrome.history.addUrl({ url });
+      await this.recordNormalizedVisit(url);
+    } else {
+      await chrome.history.deleteUrl({ url });
+      await this.forgetNormalizedVisit(url);
+    }
+
+    // Recency and normalized marks come from link reports, so the page reports its links again
+    if (tab?.id !== undefined && (this.settings.recencyShading || this.settings.normalizedVisits)) {
+      this.forgetReportedLinks(tab.id);
+      try {
+        await chrome.tabs.sendMessage(tab.id, { action: 'updateSettings', settings: this.settings });
+      } catch (error) {
+        // Content script not loaded
+      }
+    }
+  }
+
+  // Gives the link's host a destination rule of its own, placed first so it wins over the others.
+  // Clicking again on a host that has one moves it on to the next preset color.
+  // Destination rules are synced, so links in incognito tabs can't add one.
+  async colorLinksToSite(url, tab) {
+    if (tab?.incognito) {
+      return;
+    }
+
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return;
+    }
+    if (!isValidDestinationValue('host', hostname)) {
+      return;
+    }
+
+    const rules = this.settings.destinationRules;
+    const existing = rules.find((rule) => rule.type === 'host' && rule.value === hostname);
+    // A full list is left alone: the rules in it are the user's own
+    if (!existing && rules.length >= MAX_DESTINATION_RULES) {
+      if (tab?.id !== undefined) {
+        await this.showActionState(tab, DESTINATION_LIMIT_STATE);
+      }
+      return;
+    }
+
+    const { visitedColor } = tab?.id !== undefined
+      ? await this.getEffectiveSettings(tab.id)
+      : this.settings;
+    const rule = {
+      type: 'host',
+      value: hostname,
+      visitedColor: getNextPresetColor(existing ? existing.visitedColor : visitedColor),
+      enabled: true,
+      // Ahead of every other rule
+      order: Math.min(1, ...rules.map((other) => other.order)) - 1
+    };
+    const id = existing ? existing.id : crypto.randomUUID();
+
+    const changes = Object.entries(rule).map(([field, value]) => ({ type: 'setDestination', id, field, value }));
+    await this.patchSettings(changes);
+  }
+
+  async handleTabUpdate(tabId, changeInfo, tab) {
+    try {
+      // A navigation is starting: whatever we injected or measured belongs to the outgoing document.
+      // The registered loader styles the incoming one at document_start.
+      if (changeInfo.status === 'loading') {
+        this.forgetPageColors(tabId);
+        this.forgetReportedLinks(tabId);
+        await this.markTabStylesStale(tabId);
+      }
+
+      await this.settingsLoaded;
+
+      // Loaded pages and in-page navigations count as visits of their normalized URL.
+      // Incognito visits stay out of the stored list, like they stay out of the history.
+      if ((changeInfo.status === 'complete' || changeInfo.url) && !tab.incognito) {
+        await this.recordNormalizedVisit(tab.url);
+      }
+
+      // The badge and the page menu item show the tab's site
+      if (changeInfo.url || changeInfo.status === 'complete') {
+        await this.updateActionState(tab);
+      }
+      if (changeInfo.url && tab.active) {
+        await this.refreshContextMenus();
+      }
+    } catch (error) {
+      // Error handling tab update
+    }
+  }
+
+  // Injects CSS as soon as a tab is shown (a no-op when already injected)
+  async handleTabActivated(activeInfo) {
+    try {
+      await this.settingsLoaded;
+      const tab = await chrome.tabs.get(activeInfo.tabId);
+      if (tab && tab.url && this.shouldInjectOnSite(tab.url)) {
+        await this.injectCSS(activeInfo.tabId);
+      }
+      await this.updateActionState(tab);
+      await this.refreshContextMenus();
+    } catch (error) {
+      // Silent error handling
+    }
+  }
+
+  // Forgets per-tab state when a tab closes
+  async handleTabRemoved(tabId) {
+    this.forgetPageColors(tabId);
+    this.forgetReportedLinks(tabId);
+    this.forgetTabStyles(tabId);
+    await this.settingsLoaded;
+    await this.endTabSnoozes(tabId);
+  }
+
+  // Prerendered tabs swap in under a new id
+  async handleTabReplaced(addedTabId, removedTabId) {
+    this.forgetPageColors(removedTabId);
+    this.forgetReportedLinks(removedTabId);
+    this.forgetTabStyles(removedTabId);
+    await this.settingsLoaded;
+    await this.injectCSS(addedTabId);
+  }
+
+  async handleStorageChange(changes, namespace) {
+    if (namespace !== 'sync' && namespace !== 'local') {
+      return;
+    }
+    await this.settingsLoaded;
+
+    if (Object.keys(changes).some((key) => isSettingsStorageKey(key))) {
+      let settingsChanged = false;
+      try {
+        await this.enqueueWrite(async () => {
+          const previous = stableStringify(this.settings);
+          const { stored, remote } = await this.mergeStoredSettings();
+          settingsChanged = stableStringify(this.settings) !== previous;
+
+          // Another window or device overwrote edits it had not seen: write the merged result back
+          const lostEdits = stableStringify({ settings: this.settings, revisions: this.revisions }) !== stableStringify(remote);
+          if (lostEdits && stored.complete && stored.settings !== undefined) {
+            await this.setSettings(this.settings);
+          }
+        });
+      } catch (error) {
+        return;
+      }
+
+      // The worker's own writes are already applied, and so are edits it has merged before
+      if (!settingsChanged) {
+        return;
+      }
+
+      // Notify all tabs about settings change
+      await this.notifyAllTabs({
+        action: 'updateSettings',
+        settings: this.settings
+      });
+
+      // Changes from other windows or devices also change where the loader runs
+      await this.syncRegisteredScripts();
+      await this.updateAllTabs();
+      await this.updateAllActionStates();
+      await this.refreshContextMenus();
+      await this.schedulePauseAlarm();
+    }
+  }
+
+  // Content scripts report their links again, or learn that recency shading is unavailable
+  async handlePermissionsChange() {
+    await this.settingsLoaded;
+    if (!this.settings.recencyShading) {
+      return;
+    }
+
+    this.reportedLinks.clear();
+    await this.notifyAllTabs({
+      action: 'updateSettings',
+      settings: this.settings
+    });
+    await this.updateAllTabs();
+  }
+
+  shouldInjectOnSite(url) {
+    try {
+      const urlObj = new URL(url);
+      
+      // Don't inject on chrome://, chrome-extension://, or other special schemes
+      if (urlObj.protocol === 'chrome:' || 
+          urlObj.protocol === 'chrome-extension:' ||
+          urlObj.protocol === 'moz-extension:' ||
+          urlObj.protocol === 'edge:' ||
+          urlObj.protocol === 'about:' ||
+          urlObj.protocol === 'data:' ||
+          urlObj.protocol === 'file:') {
+        return false;
+      }
+      
+      // Run on all other websites
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // frame: { frameId, documentId, url } of the document to style; defaults to the top frame
+  async injectCSS(tabId, frame = {}) {
+    try {
+      // Check if tab still exists and is accessible
+      const tab = await chrome.tabs.get(tabId);
+      if (!tab || !tab.url) {
+        return;
+      }
+
+      // Every frame is styled by its own URL: the tab's for the top frame, the last known one for others
+      const frameId = frame.frameId ?? TOP_FRAME_ID;
+      const tracked = this.injectedStyles.get(getFrameKey(tabId, frameId));
+      const url = frame.url || (frameId === TOP_FRAME_ID ? tab.url : tracked?.url || tab.url);
+      const target = { tabId, frameId, documentId: frame.documentId || null, url };
+
+      // Check if we should inject on this site
+      if (!this.shouldInjectOnSite(url)) {
+        await this.applyTrackedCSS(target, null);
+        return;
+      }
+
+      // Get effective settings for this site
+      const effectiveSettings = await this.getEffectiveSettings(tabId, { frameId, url });
+      
+      if (!effectiveSettings.enabled) {
+        // Remove CSS when disabled
+        await this.applyTrackedCSS(target, null);
+        return;
+      }
+
+      // Generate CSS directly - no caching to ensure colors always update
+      const css = this.generateCSS(effectiveSettings);
+      
+      // Swap the tracked stylesheet; unchanged CSS is left alone
+      await this.applyTrackedCSS(target, css);
+    } catch (error) {
+      // Don't log errors for restricted pages or invalid tabs
+      // Silent error handling
+    }
+  }
+
+  // Stylesheet the content script adopts into the frame's shadow roots; null when nothing is styled there
+  async getShadowCSS(tabId, frame) {
+    const tab = await chrome.tabs.get(tabId);
+    const url = frame.url || tab.url;
+    if (!url || !this.shouldInjectOnSite(url)) {
+      return null;
+    }
+
+    const effectiveSettings = await this.getEffectiveSettings(tabId, { frameId: frame.frameId, url });
+    return effectiveSettings.enabled ? this.generateCSS(effectiveSettings, 'shadow') : null;
+  }
+
+  async removeCSS(tabId) {
+    try {
+      const frames = [...this.injectedStyles.keys()]
+        .map(parseFrameKey)
+        .filter((frame) => frame.tabId === tabId);
+
+      await Promise.all(frames.map((frame) => this.applyTrackedCSS(frame, null)));
+    } catch (error) {
+      // Ignore errors when removing CSS
+    }
+  }
+
+  // Inserts css into one frame and removes whatever was injected there before; null only removes.
+  // Operations on the same frame run one at a time so a swap never races another swap.
+  async applyTrackedCSS({ tabId, frameId, documentId = null, url = null }, css) {
+    const key = getFrameKey(tabId, frameId);
+    const previousOperation = this.styleOperations.get(key) || Promise.resolve();
+
+    const operation = previousOperation.then(async () => {
+      await this.injectedStylesLoaded;
+      const previous = this.injectedStyles.get(key) || null;
+
+      // The entry describes this document unless a navigation happened or another document asks
+      const isCurrent = previous !== null && !previous.stale &&
+        (documentId === null || previous.documentId === documentId);
+      if (isCurrent && previous.css === css) {
+        return;
+      }
+
+      const frameTarget = { tabId, frameIds: [frameId] };
+      const target = documentId ? { tabId, documentIds: [documentId] } : frameTarget;
+
+      // Unsure whether the old sheet is still there: take it out first (a no-op in a new document)
+      if (previous && !isCurrent) {
+        await this.removeTrackedSheet(frameTarget, previous.css);
+      }
+
+      // Otherwise insert the new sheet before removing the old one so links never flash unstyled
+      if (css) {
+        try {
+          await chrome.scripting.insertCSS({ target, css });
+        } catch (error) {
+          // The frame or document is gone (or restricted): nothing is tracked there any more
+          this.injectedStyles.delete(key);
+          await this.persistInjectedStyles();
+          throw error;
+        }
+        this.injectedStyles.set(key, {
+          css,
+          documentId: documentId || (isCurrent ? previous.documentId : null),
+          url: url || previous?.url || null,
+          stale: false
+        });
+      } else {
+        this.injectedStyles.delete(key);
+      }
+
+      if (previous && isCurrent) {
+        await this.removeTrackedSheet(frameTarget, previous.css);
+      }
+
+      await this.persistInjectedStyles();
+    });
+
+    const tracked = operation.catch(() => {});
+    this.styleOperations.set(key, tracked);
+    tracked.then(() => {
+      if (this.styleOperations.get(key) === tracked) {
+        this.styleOperations.delete(key);
+      }
+    });
+
+    return operation;
+  }
+
+  async removeTrackedSheet(target, css) {
+    try {
+      await chrome.scripting.removeCSS({ target, css });
+    } catch (error) {
+      // The document that had it is gone
+    }
+  }
+
+  // After a navigation starts nobody knows which document holds the tracked sheets;
+  // the next injection removes them before inserting
+  async markTabStylesStale(tabId) {
+    let changed = false;
+    this.injectedStyles.forEach((entry, key) => {
+      if (parseFrameKey(key).tabId === tabId && !entry.stale) {
+        entry.stale = true;
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      await this.persistInjectedStyles();
+    }
+  }
+
+  // A closed tab's frames are no longer tracked
+  async forgetTabStyles(tabId) {
+    let changed = false;
+    [...this.injectedStyles.keys()].forEach((key) => {
+      if (parseFrameKey(key).tabId === tabId) {
+        this.injectedStyles.delete(key);
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      await this.persistInjectedStyles();
+    }
+  }
+
+  // The registry survives service worker restarts for as long as the browser session lasts
+  async loadInjectedStyles() {
+    try {
+      const stored = await chrome.storage.session.get(INJECTED_STYLES_KEY);
+      Object.entries(stored[INJECTED_STYLES_KEY] || {}).forEach(([key, entry]) => {
+        if (isPlainObject(entry) && typeof entry.css === 'string') {
+          this.injectedStyles.set(key, entry);
+        }
+      });
+    } catch (error) {
+      // Start with an empty registry
+    }
+  }
+
+  async persistInjectedStyles() {
+    try {
+      await chrome.storage.session.set({
+        [INJECTED_STYLES_KEY]: Object.fromEntries(this.injectedStyles)
+      });
+    } catch (error) {
+      // Registry stays in memory only
+    }
+  }
+
+  async loadCompatPack() {
+    try {
+      const response = await fetch(chrome.runtime.getURL(COMPAT_PACK_PATH));
+      this.builtInCompatPack = parseCompatPack(await response.json()).pack;
+    } catch (error) {
+      // No built-in rules
+    }
+
+    try {
+      const stored = await chrome.storage.local.get(COMPAT_PACK_KEY);
+      const imported = parseCompatPack(stored[COMPAT_PACK_KEY]).pack;
+      // An extension update can ship a pack newer than the imported one
+      this.compatPack = imported && imported.version > (this.builtInCompatPack?.version ?? 0)
+        ? imported
+        : this.builtInCompatPack;
+    } catch (error) {
+      this.compatPack = this.builtInCompatPack;
+    }
+  }
+
+  async getCompatRules() {
+    await this.compatPackLoaded;
+    return {
+      version: this.compatPack?.version ?? null,
+      builtInVersion: this.builtInCompatPack?.version ?? null,
+      imported: Boolean(this.compatPack) && this.compatPack !== this.builtInCompatPack,
+      rules: this.compatPack?.rules || []
+    };
+  }
+
+  // Validation problems are reported in the result rather than thrown, so the page can list them
+  async importCompatPack(raw) {
+    await this.compatPackLoaded;
+    const { pack, errors } = parseCompatPack(raw);
+    if (!pack) {
+      return { imported: false, errors };
+    }
+
+    const currentVersion = this.compatPack?.version ?? 0;
+    if (pack.version <= currentVersion) {
+      return {
+        imported: false,
+        errors: [`Rule pack version ${pack.version} is not newer than the installed version ${currentVersion}`]
+      };
+    }
+
+    await chrome.storage.local.set({ [COMPAT_PACK_KEY]: pack });
+    this.compatPack = pack;
+    await this.updateAllTabs();
+    return { imported: true, errors: [], version: pack.version, ruleCount: pack.rules.length };
+  }
+
+  async resetCompatPack() {
+    await this.compatPackLoaded;
+    await chrome.storage.local.remove(COMPAT_PACK_KEY);
+    this.compatPack = this.builtInCompatPack;
+    await this.updateAllTabs();
+  }
+
+  // Pack rules for a URL with the user's overrides applied; disabled rules are left out
+  getCompatRulesForUrl(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      return [];
+    }
+
+    const overrides = this.settings.compatRuleOverrides || {};
+    return (this.compatPack?.rules || [])
+      .filter((rule) => rule.sites.some((site) => getSitePattern(site)?.test(urlObj)))
+      .map((rule) => ({ ...rule, ...overrides[rule.id] }))
+      .filter((rule) => rule.enabled !== false)
+      .map(({ selectors, boost, properties }) => ({ selectors, boost, properties }));
+  }
+
+  // Enabled destination rules compiled for the page they will be injected into
+  resolveDestinationRules(url) {
+    let pageUrl = null;
+    try {
+      pageUrl = new URL(url);
+    } catch (error) {
+      // Relative links can't be attributed to a host
+    }
+
+    return (this.settings.destinationRules || [])
+      .filter((rule) => rule.enabled)
+      // :where() gives every rule the same specificity, so list order alone decides between them
+      .map((rule) => ({
+        selectors: compileDestinationSelectors(rule, pageUrl).map((selector) => `:where(${selector})`),
+        visitedColor: rule.visitedColor
+      }))
+      .filter((rule) => rule.selectors.length > 0);
+  }
+
+  // scope 'document' for the page, 'shadow' for stylesheets adopted into shadow roots
+  generateCSS({
+    visitedColor: color,
+    visitedColorDark: darkColor,
+    colorScheme = null,
+    visitedStyle = {},
+    unvisitedColor = null,
+    linkSelectors = [],
+    compatRules = [],
+    destinationRules = [],
+    recency = null,
+    normalizedLinks = [],
+    linkBackground = null
+  }, scope = 'document') {
+    const cssScope = CSS_SCOPES[scope];
+    const { root, prefix } = cssScope;
+    return `
+      /* Visited Links Marker CSS - Using Browser's Native :visited State */
+      ${this.generateColorVariablesCSS(color, darkColor, colorScheme, cssScope)}
+
+      /* High specificity CSS rules to override any website styles */
+      ${prefix}a:visited,
+      ${prefix}a:visited *,
+      ${prefix}[role="link"]:visited,
+      ${prefix}[role="link"]:visited * {
+        color: var(--visited-link-color) !important;
+      }
+
+      /* Additional high-specificity rules for stubborn websites */
+      ${prefix}div a:visited,
+      ${prefix}div a:visited *,
+      ${prefix}section a:visited,
+      ${prefix}section a:visited *,
+      ${prefix}article a:visited,
+      ${prefix}article a:visited *,
+      ${prefix}main a:visited,
+      ${prefix}main a:visited *,
+      ${prefix}nav a:visited,
+      ${prefix}nav a:visited *,
+      ${prefix}header a:visited,
+      ${prefix}header a:visited *,
+      ${prefix}footer a:visited,
+      ${prefix}footer a:visited * {
+        color: var(--visited-link-color) !important;
+      }
+
+      /* Handle common class-based links */
+      ${prefix}.link:visited,
+      ${prefix}.link:visited *,
+      ${prefix}.url:visited,
+      ${prefix}.url:visited *,
+      ${prefix}.external:visited,
+      ${prefix}.external:visited * {
+        color: var(--visited-link-color) !important;
+      }
+
+      /* Handle deeply nested elements */
+      ${prefix}a:visited span,
+      ${prefix}a:visited div,
+      ${prefix}a:visited p,
+      ${prefix}a:visited h1,
+      ${prefix}a:visited h2,
+      ${prefix}a:visited h3,
+      ${prefix}a:visited h4,
+      ${prefix}a:visited h5,
+      ${prefix}a:visited h6,
+      ${prefix}a:visited strong,
+      ${prefix}a:visited em,
+      ${prefix}a:visited b,
+      ${prefix}a:visited i,
+      ${prefix}a:visited u {
+        color: var(--visited-link-color) !important;
+      }
+
+      /* Override text decoration while preserving functionality */
+      ${prefix}a:visited {
+        color: var(--visited-link-color) !important;
+      }
+      ${this.generateStyleCSS(visitedStyle, cssScope)}
+      ${this.generateUnvisitedCSS(unvisitedColor, cssScope)}
+      ${this.generateLinkSelectorsCSS(linkSelectors.filter(isSafeLinkSelector), { unvisitedColor, prefix })}
+      ${compatRules.map((rule) => this.generateLinkSelectorsCSS(rule.selectors.filter(isSafeLinkSelector), { ...rule, unvisitedColor, prefix })).join('')}
+      ${scope === 'document' ? this.generateNormalizedVisitsCSS(normalizedLinks, cssScope) : ''}
+      ${scope === 'document' ? this.generateRecencyCSS(recency, linkBackground, cssScope) : ''}
+      ${this.generateDestinationCSS(destinationRules, colorScheme, cssScope)}
+    `;
+  }
+
+  // Links the browser treats as unvisited but whose normalized URL was visited. Unlike :visited,
+  // these marks show in computed styles, which is why the mode is opt-in and only covers links
+  // on the page's own host.
+  generateNormalizedVisitsCSS(normalizedLinks, { prefix }) {
+    if (normalizedLinks.length === 0) {
+      return '';
+    }
+
+    const boostSelector = COMPAT_BOOST_SELECTOR.repeat(MAX_COMPAT_BOOST);
+    const selectors = normalizedLinks.flatMap((href) => {
+      const link = `${prefix}a[href="${escapeCSSString(href)}"]:link${boostSelector}`;
+      return [link, `${link} *`];
+    });
+    return `
+      /* Visited under a normalized URL */
+      ${selectors.join(',\n        ')} {
+        color: var(--visited-link-color) !important;
+      }
+      `;
+  }
+
+  // Older visits mix more of the background into the visited color. The rules stay on :visited,
+  // so pages can't read the tiers back through computed styles. They share the top compatibility
+  // boost and come later, so they apply on top of compatibility rules; destination colors still win.
+  generateRecencyCSS(recency, linkBackground, { prefix }) {
+    if (!recency) {
+      return '';
+    }
+
+    const boostSelector = COMPAT_BOOST_SELECTOR.repeat(MAX_COMPAT_BOOST);
+    const background = linkBackground || 'Canvas';
+    return recency.hrefsByTier.map((hrefs, tier) => {
+      const fade = recency.fades[tier];
+      if (!fade || hrefs.length === 0) {
+        return '';
+      }
+
+      const selectors = hrefs.flatMap((href) => {
+        const link = `${prefix}a[href="${escapeCSSString(href)}"]:visited${boostSelector}`;
+        return [link, `${link} *`];
+      });
+      return `
+      /* Recency tier ${tier + 1} */
+      ${selectors.join(',\n        ')} {
+        color: color-mix(in srgb, var(--visited-link-color) ${100 - fade}%, ${background}) !important;
+      }
+      `;
+    }).join('');
+  }
+
+  // Each rule gets its own color variable. Rules are emitted last-to-first with equal specificity,
+  // so the first matching rule in the list wins.
+  generateDestinationCSS(destinationRules, colorScheme, cssScope) {
+    return destinationRules.map(({ selectors, visitedColor }, index) => {
+      const variable = `--visited-destination-color-${index}`;
+      return `
+      /* Destination rule ${index + 1} */
+      ${this.generateColorVariablesCSS(visitedColor, null, colorScheme, cssScope, variable)}
+      ${this.generateLinkSelectorsCSS(selectors, { prefix: cssScope.prefix, boost: DESTINATION_BOOST, variable })}`;
+    }).reverse().join('');
+  }
+
+  // One rule per selector so a selector the browser rejects only drops its own rule.
+  // Used for site link selectors, compatibility rules and destination rules, which can boost specificity.
+  generateLinkSelectorsCSS(selectors, { unvisitedColor = null, prefix, properties = ['color'], boost = 0, variable = '--visited-link-color' }) {
+    const boostSelector = COMPAT_BOOST_SELECTOR.repeat(boost);
+    const states = unvisitedColor
+      ? [['visited', variable], ['link', '--unvisited-link-color']]
+      : [['visited', variable]];
+
+    return selectors.map((selector) => states.map(([state, stateVariable]) => `
+      ${prefix}:is(${selector}):${state}${boostSelector},
+      ${prefix}:is(${selector}):${state}${boostSelector} * {
+        ${properties.map((property) => `${property}: var(${stateVariable}) !important;`).join('\n          ')}
+      }
+      `).join('')).join('');
+  }
+
+  // Unvisited links are only styled when a color was chosen
+  generateUnvisitedCSS(unvisitedColor, { root, prefix }) {
+    if (!unvisitedColor) {
+      return '';
+    }
+
+    return `
+      /* Unvisited links */
+      ${root} {
+        --unvisited-link-color: ${unvisitedColor};
+      }
+
+      ${prefix}a:link,
+      ${prefix}a:link * {
+        color: var(--unvisited-link-color) !important;
+      }
+    `;
+  }
+
+  // A detected page scheme picks one variant; otherwise the browser's preference decides
+  generateColorVariablesCSS(color, darkColor, colorScheme, { root }, variable = '--visited-link-color') {
+    const lightColor = color || 'unset';
+    if (!darkColor || colorScheme === 'light') {
+      return `${root} {
+        ${variable}: ${lightColor};
+      }`;
+    }
+    if (colorScheme === 'dark') {
+      return `${root} {
+        ${variable}: ${darkColor};
+      }`;
+    }
+
+    return `${root} {
+        ${variable}: ${lightColor};
+      }
+
+      @media (prefers-color-scheme: dark) {
+        ${root} {
+          ${variable}: ${darkColor};
+        }
+      }`;
+  }
+
+  // Extra visited styling goes on the link itself so nested elements don't repeat borders and outlines.
+  // Browsers take the alpha of these colors from the unvisited state, so backgrounds, borders and
+  // outlines only show where the site already paints them.
+  generateStyleCSS(visitedStyle, { prefix }) {
+    const declarations = Object.entries(visitedStyle)
+      .filter(([cssProperty]) => cssProperty !== 'fill' && cssProperty !== 'stroke')
+      .map(([cssProperty, value]) => `${cssProperty}: ${value} !important;`);
+
+    const svgDeclarations = Object.entries(visitedStyle)
+      .filter(([cssProperty]) => cssProperty === 'fill' || cssProperty === 'stroke')
+      .map(([cssProperty, value]) => `${cssProperty}: ${value} !important;`);
+
+    let css = '';
+    if (declarations.length > 0) {
+      css += `
+      /* Visited style properties */
+      ${prefix}a:visited,
+      ${prefix}[role="link"]:visited {
+        ${declarations.join('\n          ')}
+      }
+      `;
+    }
+    if (svgDeclarations.length > 0) {
+      css += `
+      /* Icons inside visited links */
+      ${prefix}a:visited svg,
+      ${prefix}a:visited svg * {
+        ${svgDeclarations.join('\n          ')}
+      }
+      `;
+    }
+    return css;
+  }
+
+  // Settings for one frame of a tab; the top frame's URL is the tab's
+  async getEffectiveSettings(tabId, { frameId = TOP_FRAME_ID, url = null } = {}) {
+    try {
+      // Get tab URL to determine site-specific settings
+      const tab = await chrome.tabs.get(tabId);
+      
+      await this.compatPackLoaded;
+      await this.snoozesLoaded;
+      await this.incognitoSettingsLoaded;
+
+      // Merge every matching rule, most specific last so it wins per setting
+      const siteSettings = this.resolveSiteSettings(url || tab.url, tab.incognito);
+      
+      // Site is enabled if it's not explicitly disabled, snoozed or outside the schedule
+      const siteEnabled = siteSettings.enabled !== false && !this.getPauseState(url || tab.url).paused;
+      const incognitoDisabled = tab.incognito && this.settings.incognitoPolicy === 'disabled';
+      
+      // Global style, from the active profile or the incognito settings when they apply
+      const style = this.getStyleSettings(tab.incognito);
+
+      // Use custom color only if it's defined (custom color toggle is on)
+      const visitedColor = siteSettings.visitedColor !== undefined 
+        ? siteSettings.visitedColor 
+        : style.visitedColor;
+      
+      // A site color without its own dark variant is used in both schemes
+      const visitedColorDark = siteSettings.visitedColorDark
+        ?? siteSettings.visitedColor
+        ?? style.visitedColorDark;
+
+      // Unvisited color: site value (null means off there) or the global one
+      const unvisitedColor = siteSettings.unvisitedColor !== undefined
+        ? siteSettings.unvisitedColor
+        : style.unvisitedColor;
+
+      const pageColors = this.pageColors.get(getFrameKey(tabId, frameId)) || {};
+      const adjustContrast = (color) => this.settings.autoContrast && pageColors.linkBackground
+        ? ensureContrast(color, pageColors.linkBackground, this.settings.contrastRatio)
+        : color;
+
+      const effectiveSettings = {
+        visitedColor: adjustContrast(visitedColor),
+        visitedColorDark: adjustContrast(visitedColorDark),
+        colorScheme: this.settings.detectPageDarkness ? pageColors.scheme || null : null,
+        unvisitedColor: unvisitedColor && adjustContrast(unvisitedColor),
+        visitedStyle: this.resolveVisitedStyle(siteSettings, tab.incognito),
+        linkSelectors: siteSettings.linkSelectors || [],
+        compatRules: this.getCompatRulesForUrl(url || tab.url),
+        destinationRules: this.resolveDestinationRules(url || tab.url).map((rule) => ({
+          ...rule,
+          visitedColor: adjustContrast(rule.visitedColor)
+        })),
+        recency: this.getLinkRecency(tabId, frameId),
+        normalizedLinks: this.getNormalizedVisitLinks(tabId, frameId),
+        linkBackground: pageColors.linkBackground || null,
+        enabled: this.settings.enabled && siteEnabled && !incognitoDisabled
+      };
+
+      return effectiveSettings;
+    } catch (error) {
+      const style = this.getStyleSettings();
+      return {
+        visitedColor: style.visitedColor,
+        visitedColorDark: style.visitedColorDark,
+        colorScheme: null,
+        unvisitedColor: style.unvisitedColor,
+        visitedStyle: this.resolveVisitedStyle({}),
+        linkSelectors: [],
+        compatRules: [],
+        destinationRules: [],
+        recency: null,
+        normalizedLinks: [],
+        linkBackground: null,
+        enabled: this.settings.enabled
+      };
+    }
+  }
+
+  // Maps CSS property to color, site values (including null for "off") override global ones;
+  // the global ones are the tab's, so incognito tabs get their own settings where they apply
+  resolveVisitedStyle(siteSettings, incognito = false) {
+    const style = this.getStyleSettings(incognito);
+    return Object.fromEntries(
+      VISITED_STYLE_PROPERTIES
+        .map(({ field, cssProperty }) => [
+          cssProperty,
+          siteSettings[field] !== undefined ? siteSettings[field] : style[field]
+        ])
+        .filter(([, value]) => value)
+    );
+  }
+
+  async setPageColors(tabId, frame, scheme, linkBackground) {
+    if (!tabId) {
+      return;
+    }
+
+    const key = getFrameKey(tabId, frame.frameId);
+    const previous = this.pageColors.get(key) || {};
+    const next = {
+      scheme: scheme === 'light' || scheme === 'dark' ? scheme : null,
+      linkBackground: isValidHexColor(linkBackground) ? linkBackground : null
+    };
+    this.pageColors.set(key, next);
+
+    // Only re-inject when a setting that uses the changed value is on
+    const schemeChanged = this.settings.detectPageDarkness && previous.scheme !== next.scheme;
+    const backgroundChanged = this.settings.autoContrast && previous.linkBackground !== next.linkBackground;
+    if (schemeChanged || backgroundChanged) {
+      await this.injectCSS(tabId, frame);
+
+      // The color swatch follows the top frame's colors
+      if (this.settings.badgeColorSwatch && frame.frameId === TOP_FRAME_ID) {
+        const tab = await chrome.tabs.get(tabId).catch(() => null);
+        if (tab) {
+          await this.updateActionState(tab);
+        }
+      }
+    }
+  }
+
+  forgetPageColors(tabId) {
+    [...this.pageColors.keys()].forEach((key) => {
+      if (parseFrameKey(key).tabId === tabId) {
+        this.pageColors.delete(key);
+      }
+    });
+  }
+
+  async hasHistoryAccess() {
+    try {
+      return Boolean(chrome.history) && await chrome.permissions.contains({ permissions: ['history'] });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Darkness detection and auto-contrast are the only users of the page colors content scripts report
+  needsPageColors() {
+    return this.settings.enabled && (this.settings.detectPageDarkness || this.settings.autoContrast);
+  }
+
+  // Content scripts report links while this is set and start over when it changes, so settings
+  // that don't affect the reports leave them alone
+  async getLinkReportKey() {
+    const recency = this.settings.recencyShading && await this.hasHistoryAccess();
+    const normalized = this.settings.normalizedVisits;
+    if (!this.settings.enabled || (!recency && !normalized)) {
+      return null;
+    }
+
+    const normalizations = normalized
+      ? [this.settings.normalization, ...Object.entries(this.settings.siteSettings).filter(([, rule]) => rule.normalization)]
+      : [];
+    return getFingerprint(stableStringify({ session: this.reportedLinksSession, recency, normalizations }));
+  }
+
+  // Looks up what recency shading and normalized visits need for one batch of reported links,
+  // then schedules a restyle of the frame. Tells the content script to stop reporting while neither can use them.
+  async recordReportedLinks(tabId, frame, links) {
+    const recency = this.settings.recencyShading && await this.hasHistoryAccess();
+    const normalized = this.settings.normalizedVisits;
+    if (!this.settings.enabled || (!recency && !normalized)) {
+      return { enabled: false };
+    }
+
+    const key = getFrameKey(tabId, frame.frameId);
+    let entry = this.reportedLinks.get(key);
+    if (!entry || entry.documentId !== frame.documentId) {
+      entry = { documentId: frame.documentId, tiers: new Map(), normalized: new Set() };
+      this.reportedLinks.set(key, entry);
+    }
+
+    const batch = (Array.isArray(links) ? links : [])
+      .filter((link) => isPlainObject(link) && typeof link.href === 'string' && typeof link.url === 'string'
+        && /^https?:\/\//i.test(link.url))
+      .slice(0, REPORTED_LINKS_BATCH_SIZE);
+
+    if (recency) {
+      await this.lookUpLinkRecency(entry, batch);
+    }
+    if (normalized) {
+      await this.lookUpNormalizedVisits(entry, batch, frame.url);
+    }
+
+    this.scheduleReportRestyle(tabId, frame);
+    return { enabled: true };
+  }
+
+  // The stylesheet carries every reported link, so rebuilding it per batch would cost the square of the page's links
+  scheduleReportRestyle(tabId, frame) {
+    const key = getFrameKey(tabId, frame.frameId);
+    clearTimeout(this.reportRestyleTimeouts.get(key));
+    this.reportRestyleTimeouts.set(key, setTimeout(() => {
+      this.reportRestyleTimeouts.delete(key);
+      this.injectCSS(tabId, frame);
+    }, REPORTED_LINKS_RESTYLE_DELAY_MS));
+  }
+
+  async lookUpLinkRecency(entry, batch) {
+    const now = Date.now();
+    await Promise.all(batch.map(async ({ href, url }) => {
+      let lastVisit = 0;
+      try {
+        const visits = await chrome.history.getVisits({ url });
+        lastVisit = visits.reduce((latest, visit) => Math.max(latest, visit.visitTime || 0), 0);
+      } catch (error) {
+        // Treated as never visited
+      }
+      entry.tiers.delete(href);
+      if (lastVisit > 0) {
+        entry.tiers.set(href, getRecencyTier(now - lastVisit));
+      }
+    }));
+
+    // Oldest reports go first once a page has more links than the stylesheet should carry
+    [...entry.tiers.keys()].slice(0, Math.max(0, entry.tiers.size - MAX_REPORTED_LINKS))
+      .forEach((href) => entry.tiers.delete(href));
+  }
+
+  // Only links on the page's own host are marked: the marks show in computed styles, and the page
+  // must not learn which other sites were visited
+  async lookUpNormalizedVisits(entry, batch, pageUrl) {
+    await this.normalizedVisitsLoaded;
+    const pageHost = getUrlHost(pageUrl);
+    batch.forEach(({ href, url }) => {
+      const key = pageHost && getUrlHost(url) === pageHost ? this.getNormalizedVisitKey(url) : null;
+      if (key && this.normalizedVisits.has(key)) {
+        entry.normalized.add(href);
+      } else {
+        entry.normalized.delete(href);
+      }
+    });
+
+    [...entry.normalized].slice(0, Math.max(0, entry.normalized.size - MAX_REPORTED_LINKS))
+      .forEach((href) => entry.normalized.delete(href));
+  }
+
+  // Reported hrefs grouped by tier, or null when recency shading is off for the frame
+  getLinkRecency(tabId, frameId) {
+    const entry = this.reportedLinks.get(getFrameKey(tabId, frameId));
+    if (!this.settings.recencyShading || !entry) {
+      return null;
+    }
+
+    const hrefsByTier = RECENCY_TIERS.map(() => []);
+    entry.tiers.forEach((tier, href) => hrefsByTier[tier].push(href));
+    return { fades: this.settings.recencyFades, hrefsByTier };
+  }
+
+  // Hrefs to mark as visited in the frame; empty when normalized visits are off
+  getNormalizedVisitLinks(tabId, frameId) {
+    const entry = this.reportedLinks.get(getFrameKey(tabId, frameId));
+    return this.settings.normalizedVisits && entry ? [...entry.normalized] : [];
+  }
+
+  // The link's own site rules decide how its URL is normalized
+  getNormalizedVisitKey(url) {
+    const normalization = this.resolveSiteSettings(url).normalization || this.settings.normalization;
+    return normalizeVisitUrl(url, normalization);
+  }
+
+  async loadNormalizedVisits() {
+    try {
+      const stored = await chrome.storage.local.get(NORMALIZED_VISITS_KEY);
+      Object.entries(stored[NORMALIZED_VISITS_KEY] || {})
+        .filter(([, time]) => typeof time === 'number')
+        .sort(([, a], [, b]) => a - b)
+        .forEach(([key, time]) => this.normalizedVisits.set(key, time));
+    } catch (error) {
+      // Start without recorded visits
+    }
+  }
+
+  async recordNormalizedVisit(url) {
+    if (!this.settings.enabled || !this.settings.normalizedVisits || !this.shouldInjectOnSite(url)) {
+      return;
+    }
+
+    const key = this.getNormalizedVisitKey(url);
+    if (!key) {
+      return;
+    }
+
+    await this.normalizedVisitsLoaded;
+    // Re-inserting keeps the map ordered by visit time, so the oldest visits are dropped first
+    this.normalizedVisits.delete(key);
+    this.normalizedVisits.set(key, Date.now());
+    [...this.normalizedVisits.keys()].slice(0, Math.max(0, this.normalizedVisits.size - MAX_NORMALIZED_VISITS))
+      .forEach((oldKey) => this.normalizedVisits.delete(oldKey));
+
+    this.saveNormalizedVisits();
+  }
+
+  // Marking a link unvisited covers every variant of its URL
+  async forgetNormalizedVisit(url) {
+    const key = this.getNormalizedVisitKey(url);
+    await this.normalizedVisitsLoaded;
+    if (key && this.normalizedVisits.delete(key)) {
+      this.saveNormalizedVisits();
+    }
+  }
+
+  saveNormalizedVisits() {
+    // Several tab updates arrive per navigation; one write covers them
+    clearTimeout(this.normalizedVisitsSaveTimeout);
+    this.normalizedVisitsSaveTimeout = setTimeout(() => {
+      chrome.storage.local.set({ [NORMALIZED_VISITS_KEY]: Object.fromEntries(this.normalizedVisits) })
+        .catch(() => {
+          // Visits stay in memory until the next write
+        });
+    }, NORMALIZED_VISITS_WRITE_DELAY_MS);
+  }
+
+  forgetReportedLinks(tabId) {
+    [...this.reportedLinks.keys()].forEach((key) => {
+      if (parseFrameKey(key).tabId === tabId) {
+        this.reportedLinks.delete(key);
+      }
+    });
+    [...this.reportRestyleTimeouts.keys()].forEach((key) => {
+      if (parseFrameKey(key).tabId === tabId) {
+        clearTimeout(this.reportRestyleTimeouts.get(key));
+        this.reportRestyleTimeouts.delete(key);
+      }
+    });
+  }
+
+  getActiveProfile() {
+    const { profiles, activeProfile } = this.settings;
+    return activeProfile && Object.hasOwn(profiles, activeProfile) ? profiles[activeProfile] : null;
+  }
+
+  // Global style fields with the active profile's values in place, and the incognito colors
+  // over those for incognito tabs with separate settings
+  getStyleSettings(incognito = false) {
+    const profile = this.getActiveProfile();
+    const style = profile ? { ...this.settings, ...profile.style } : this.settings;
+    if (!this.usesIncognitoSettings(incognito)) {
+      return style;
+    }
+
+    const { siteSettings, ...colors } = this.incognitoSettings;
+    return { ...style, ...colors };
+  }
+
+  // Site rules with the active profile's site overrides merged into them; incognito tabs with
+  // separate settings only use the incognito site rules
+  getSiteRules(incognito = false) {
+    if (this.usesIncognitoSettings(incognito)) {
+      return this.incognitoSettings.siteSettings;
+    }
+
+    const profile = this.getActiveProfile();
+    if (!profile) {
+      return this.settings.siteSettings || {};
+    }
+
+    const rules = { ...this.settings.siteSettings };
+    Object.entries(profile.siteSettings).forEach(([pattern, rule]) => {
+      rules[pattern] = { ...rules[pattern], ...rule };
+    });
+    return rules;
+  }
+
+  getMatchingSiteRules(url, incognito = false) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      return [];
+    }
+
+    return Object.entries(this.getSiteRules(incognito))
+      .map(([pattern, rule]) => ({ pattern, rule, compiled: getSitePattern(pattern) }))
+      .filter(({ compiled }) => compiled && compiled.test(urlObj))
+      .sort((a, b) => compareSpecificity(a.compiled.specificity, b.compiled.specificity));
+  }
+
+  resolveSiteSettings(url, incognito = false) {
+    return this.getMatchingSiteRules(url, incognito)
+      .reduce((merged, { rule }) => ({ ...merged, ...rule }), {});
+  }
+
+  getSiteRulesForUrl(url, incognito = false) {
+    // Most specific first for display in the popup
+    const matches = this.getMatchingSiteRules(url, incognito)
+      .reverse()
+      .map(({ pattern, rule }) => ({ pattern, settings: rule }));
+
+    return {
+      matches,
+      siteSettings: this.resolveSiteSettings(url, incognito)
+    };
+  }
+
+  async getSettings() {
+    try {
+      const stored = await SettingsStore.read();
+      return prepareStoredSettings(stored.settings).settings;
+    } catch (error) {
+      return cloneDefaultSettings();
+    }
+  }
+
+  async setSettings(settings) {
+    try {
+      // Never clears storage: quota problems overflow site rules to local storage instead
+      await SettingsStore.write(settings, this.revisions);
+      this.settings = settings;
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  enqueueWrite(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Folds whatever is stored into memory, keeping the newest value of every field
+  async mergeStoredSettings() {
+    const stored = await SettingsStore.read();
+    const remote = {
+      settings: prepareStoredSettings(stored.settings).settings,
+      revisions: stored.revisions
+    };
+
+    const merged = mergeSettingsStates({ settings: this.settings, revisions: this.revisions }, remote);
+    this.settings = merged.settings;
+    this.revisions = merged.revisions;
+
+    return { stored, remote };
+  }
+
+  async patchSettings(changes) {
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return;
+    }
+
+    await this.enqueueWrite(async () => {
+      // Start from the freshest stored state so edits made elsewhere are kept
+      const { stored } = await this.mergeStoredSettings();
+      if (isNewerSchema(stored.settings)) {
+        throw new Error(NEWER_SCHEMA_ERROR);
+      }
+
+      // A change that can't be stored is dropped whole, so it can't break later writes
+      const next = applySettingsChanges({ settings: this.settings, revisions: this.revisions }, changes);
+      await SettingsStore.write(next.settings, next.revisions);
+      this.settings = next.settings;
+      this.revisions = next.revisions;
+    });
+
+    // Notify all tabs about settings change immediately
+    await this.notifyAllTabs({
+      action: 'updateSettings',
+      settings: this.settings
+    });
+
+    // Keep the loader's site list current, then re-inject CSS on already-open tabs
+    await this.syncRegisteredScripts();
+    await this.updateAllTabs();
+    await this.updateAllActionStates();
+    await this.refreshContextMenus();
+    await this.schedulePauseAlarm();
+  }
+
+  async updateSettings(newSettings) {
+    // Whole-object updates are reduced to the fields that actually changed
+    const next = repairSettings({ ...this.settings, ...newSettings });
+    await this.patchSettings(diffSettings(this.settings, next));
+  }
+
+  async replaceSettings(settings) {
+    await this.patchSettings(diffSettings(this.settings, repairSettings(settings)));
+  }
+
+  async notifyAllTabs(message) {
+    try {
+      const tabs = await chrome.tabs.query({});
+      
+      for (const tab of tabs) {
+        if (tab.url && this.shouldInjectOnSite(tab.url)) {
+          try {
+            await chrome.tabs.sendMessage(tab.id, message);
+          } catch (error) {
+            // Tab might not have content script loaded yet
+          }
+        }
+      }
+    } catch (error) {
+      // Error notifying tabs
+    }
+  }
+
+  // Registers, updates or unregisters the document_start scripts to match the settings
+  async syncRegisteredScripts() {
+    const run = this.registrationQueue.then(async () => {
+      const registrations = this.buildScriptRegistrations();
+      const registrationKey = JSON.stringify(registrations);
+      if (registrationKey === this.registeredScripts) {
+        return;
+      }
+
+      const ids = Object.keys(registrations);
+      const existing = new Set((await chrome.scripting.getRegisteredContentScripts({ ids })).map(({ id }) => id));
+      const removed = ids.filter((id) => !registrations[id] && existing.has(id));
+      const updated = Object.values(registrations).filter((registration) => registration && existing.has(registration.id));
+      const added = Object.values(registrations).filter((registration) => registration && !existing.has(registration.id));
+      if (removed.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: removed });
+      }
+      if (updated.length > 0) {
+        await chrome.scripting.updateContentScripts(updated);
+      }
+      if (added.length > 0) {
+        await chrome.scripting.registerContentScripts(added);
+      }
+
+      this.registeredScripts = registrationKey;
+    });
+
+    this.registrationQueue = run.catch(() => {});
+    try {
+      await run;
+    } catch (error) {
+      // Open tabs are still styled on the fly
+    }
+  }
+
+  // Registrations by id; null while marking is off, so pages don't run anything of ours
+  buildScriptRegistrations() {
+    if (!this.settings.enabled) {
+      return { [STYLE_LOADER_ID]: null, [SHADOW_ROOT_HOOK_ID]: null };
+    }
+
+    const excludeMatches = this.getDisabledSiteMatches();
+    const shared = {
+      ...(excludeMatches.length > 0 ? { excludeMatches } : {}),
+      runAt: 'document_start',
+      allFrames: true,
+      matchOriginAsFallback: true,
+      persistAcrossSessions: true
+    };
+    return {
+      [STYLE_LOADER_ID]: { id: STYLE_LOADER_ID, js: [STYLE_LOADER_SCRIPT], matches: STYLE_LOADER_MATCHES, ...shared },
+      [SHADOW_ROOT_HOOK_ID]: {
+        id: SHADOW_ROOT_HOOK_ID,
+        js: [SHADOW_ROOT_HOOK_SCRIPT],
+        matches: SHADOW_ROOT_HOOK_MATCHES,
+        world: 'MAIN',
+        ...shared
+      }
+    };
+  }
+
+  // Match patterns for disabled site rules. Excluding is only an optimization - the worker still
+  // checks every request - so a rule is left out whenever a more specific enabled rule might
+  // re-enable part of it, and regex rules (no match pattern equivalent) are never excluded.
+  getDisabledSiteMatches() {
+    const rules = Object.entries(this.settings.siteSettings || {})
+      .map(([pattern, rule]) => ({ rule, compiled: getSitePattern(pattern) }))
+      .filter(({ compiled }) => compiled);
+    const enabledRules = rules.filter(({ rule }) => rule.enabled === true);
+    if (enabledRules.some(({ compiled }) => !compiled.matchPatterns)) {
+      return [];
+    }
+
+    const hostsOverlap = (a, b) => a === b || a.endsWith('.' + b) || b.endsWith('.' + a);
+    const matches = rules
+      .filter(({ rule, compiled }) => rule.enabled === false && compiled.matchPatterns)
+      .filter(({ compiled }) => !enabledRules.some((enabled) =>
+        hostsOverlap(enabled.compiled.baseHost, compiled.baseHost) &&
+        compareSpecificity(enabled.compiled.specificity, compiled.specificity) > 0
+      ))
+      .flatMap(({ compiled }) => compiled.matchPatterns);
+
+    return [...new Set(matches)].sort();
+  }
+
+  getTrackedSubframes(tabId) {
+    return [...this.injectedStyles.entries()]
+      .map(([key, entry]) => ({ ...parseFrameKey(key), entry }))
+      .filter(({ tabId: frameTabId, frameId, entry }) => frameTabId === tabId && frameId !== TOP_FRAME_ID && !entry.stale)
+      .map(({ frameId, entry }) => ({ frameId, documentId: entry.documentId, url: entry.url }));
+  }
+
+  async updateAllTabs() {
+    try {
+      const tabs = await chrome.tabs.query({});
+      
+      // Batch process tabs efficiently with parallel execution
+      const promises = tabs.map(async (tab) => {
+        try {
+          if (tab.url && this.shouldInjectOnSite(tab.url)) {
+            await this.injectCSS(tab.id);
+          }
+
+          // Subframes styled before are updated by their own URL; new ones ask via their content script
+          await Promise.all(this.getTrackedSubframes(tab.id).map((frame) => this.injectCSS(tab.id, frame)));
+        } catch (error) {
+          // Silently ignore errors for restricted pages
+          // Silent error handling
+        }
+      });
+      
+      // Execute all tab updates in parallel for maximum speed
+      await Promise.all(promises);
+    } catch (error) {
+      // Error updating tabs
+    }
+  }
+}
+
+// Initialize service
+const service = new VisitedLinkService();
+
+// Listeners are added synchronously on every start: Chrome hands the event that woke the worker
+// only to listeners that exist before the first await. Handlers wait for the settings themselves.
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  service.handleMessage(message, sender, sendResponse);
+  return true; // Keep message channel open for async response
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  service.handleTabUpdate(tabId, changeInfo, tab);
+});
+
+chrome.tabs.onActivated.addListener((activeInfo) => {
+  service.handleTabActivated(activeInfo);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  service.handleTabRemoved(tabId);
+});
+
+chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+  service.handleTabReplaced(addedTabId, removedTabId);
+});
+
+// Snoozes ending and schedule changes
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PAUSE_ALARM) {
+    service.handlePauseAlarm();
+  }
+});
+
+// History access can be granted after recency shading was turned on (or revoked later)
+chrome.permissions.onAdded.addListener(() => service.handlePermissionsChange());
+chrome.permissions.onRemoved.addListener(() => service.handlePermissionsChange());
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  service.handleStorageChange(changes, namespace);
+});
+
+// Keyboard shortcuts (configurable on the browser's extension shortcuts page)
+chrome.commands.onCommand.addListener((command, tab) => {
+  service.handleCommand(command, tab);
+});
+
+// Context menu items on links and pages
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  service.handleContextMenuClick(info, tab);
+});
+
+// Handle extension installation (outside class, like HistoryGuard)
+chrome.runtime.onInstalled.addListener(async (details) => {
+  // Open project URL on install or update (like HistoryGuard)
+  try {
+    await chrome.tabs.create({ 
+      url: 'https://www.sqtech.dev/projects/visited-links-marker',
+      active: true
+    });
+  } catch (error) {
+    // Silent error handling for tab creation
+  }
+
+  // Handle install-specific logic
+  if (details.reason === 'install') {
+    await service.initializeDefaultSettings();
+  }
+
+  // Upgrade settings stored by the previous version
+  if (details.reason === 'update') {
+    await service.migrateStoredSettings();
+  }
+});
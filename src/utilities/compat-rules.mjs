@@ -0,0 +1,19 @@
+// Site compatibility rule helpers, shared by settings import and the service worker
+import { isValidLinkSelectorList } from './validators.mjs';
+
+// Each boost step adds an ID's worth of specificity, to win over sites' own !important rules
+export const MAX_COMPAT_BOOST = 3;
+
+export const COMPAT_RULE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+export const isValidCompatBoost = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_COMPAT_BOOST;
+
+// Fields users may override per compatibility rule
+const COMPAT_OVERRIDE_VALIDATORS = {
+  enabled: (value) => typeof value === 'boolean',
+  selectors: isValidLinkSelectorList,
+  boost: isValidCompatBoost
+};
+
+export const isValidCompatOverrideField = (field, value) => Object.hasOwn(COMPAT_OVERRIDE_VALIDATORS, field)
+  && COMPAT_OVERRIDE_VALIDATORS[field](value);
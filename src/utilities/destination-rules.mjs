@@ -0,0 +1,65 @@
+// Destination rule helpers for the options page and service worker
+// Rules color visited links by where they point: "host" (exact hostname), "prefix" (URL prefix),
+// "internal" (links to the page's own site) or "external" (links to any other site)
+import { isValidHexColor, isValidHostname } from './validators.mjs';
+
+export const DESTINATION_TYPES = [
+  { type: 'host', label: 'Links to host', placeholder: 'github.com' },
+  { type: 'prefix', label: 'URL starts with', placeholder: 'https://wiki.example.com/docs/' },
+  { type: 'internal', label: 'Internal links (same site)', placeholder: '' },
+  { type: 'external', label: 'External links (other sites)', placeholder: '' }
+];
+
+export const MAX_DESTINATION_RULES = 50;
+
+const RULE_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+const PREFIX_PATTERN = /^https?:\/\/[^\s"'\\{}<>;@]+$/i;
+
+export const needsDestinationValue = (type) => type === 'host' || type === 'prefix';
+
+// Accepts a pasted URL for host rules; internal and external rules have no value
+export const normalizeDestinationValue = (type, input) => {
+  const value = String(input || '').trim();
+  if (type === 'host') {
+    return value.toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/?#:].*$/, '');
+  }
+  return type === 'prefix' ? value : '';
+};
+
+export const isValidDestinationValue = (type, value) => {
+  if (type === 'host') {
+    return isValidHostname(value);
+  }
+  if (type === 'prefix') {
+    return typeof value === 'string' && value.length <= 500 && PREFIX_PATTERN.test(value);
+  }
+  return value === '';
+};
+
+export const isValidDestinationRule = (rule) => rule !== null && typeof rule === 'object'
+  && typeof rule.id === 'string' && RULE_ID_PATTERN.test(rule.id)
+  && DESTINATION_TYPES.some(({ type }) => type === rule.type)
+  && isValidDestinationValue(rule.type, rule.value)
+  && isValidHexColor(rule.visitedColor)
+  && typeof rule.enabled === 'boolean'
+  && (rule.order === undefined || Number.isFinite(rule.order));
+
+export const createDestinationRule = (type, value, visitedColor, order) => ({
+  id: crypto.randomUUID(),
+  type,
+  value,
+  visitedColor,
+  enabled: true,
+  order
+});
+
+// Each rule stores its own position, lowest first, so moving one rule doesn't rewrite the others
+export const sortDestinationRules = (rules) => [...rules]
+  .sort((a, b) => a.order - b.order || (a.id < b.id ? -1 : Number(a.id > b.id)));
+
+export const getNextDestinationOrder = (rules) => Math.max(-1, ...rules.map((rule) => rule.order)) + 1;
+
+export const describeDestination = (rule) => {
+  const label = DESTINATION_TYPES.find(({ type }) => type === rule.type)?.label || rule.type;
+  return needsDestinationValue(rule.type) ? `${label} ${rule.value}` : label;
+};
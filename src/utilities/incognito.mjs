@@ -0,0 +1,62 @@
+// Incognito policy helpers for the popup, settings import and service worker
+// With the 'separate' policy, incognito tabs use their own colors and site rules (enable and color
+// only). The service worker keeps those in local storage, so they never reach synced storage.
+import { isValidHexColor } from './validators.mjs';
+import { isValidSitePattern } from './site-patterns.mjs';
+
+export const INCOGNITO_POLICIES = [
+  { policy: 'same', label: 'Same as normal windows' },
+  { policy: 'disabled', label: 'Don\'t mark links' },
+  { policy: 'separate', label: 'Own colors and sites' }
+];
+
+export const INCOGNITO_GLOBAL_FIELDS = ['visitedColor', 'visitedColorDark'];
+
+const INCOGNITO_SITE_VALIDATORS = {
+  enabled: (value) => typeof value === 'boolean',
+  visitedColor: isValidHexColor,
+  visitedColorDark: isValidHexColor
+};
+
+export const INCOGNITO_SITE_FIELDS = Object.keys(INCOGNITO_SITE_VALIDATORS);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export const isValidIncognitoPolicy = (value) => INCOGNITO_POLICIES.some(({ policy }) => policy === value);
+
+// Keeps every valid site rule field; broken or missing colors fall back to the given defaults
+export const repairIncognitoSettings = (value, defaults) => {
+  const source = isPlainObject(value) ? value : {};
+  const siteSettings = {};
+
+  if (isPlainObject(source.siteSettings)) {
+    Object.entries(source.siteSettings).forEach(([pattern, rule]) => {
+      if (!isValidSitePattern(pattern) || !isPlainObject(rule)) {
+        return;
+      }
+
+      const repaired = Object.fromEntries(Object.entries(rule)
+        .filter(([field, fieldValue]) => Object.hasOwn(INCOGNITO_SITE_VALIDATORS, field)
+          && INCOGNITO_SITE_VALIDATORS[field](fieldValue)));
+      if (Object.keys(repaired).length > 0) {
+        siteSettings[pattern] = repaired;
+      }
+    });
+  }
+
+  return {
+    ...Object.fromEntries(INCOGNITO_GLOBAL_FIELDS.map((field) => [
+      field,
+      isValidHexColor(source[field]) ? source[field] : defaults[field]
+    ])),
+    siteSettings
+  };
+};
+
+// The settings as an incognito tab with separate settings sees them
+export const applyIncognitoSettings = (settings, incognitoSettings) => ({
+  ...settings,
+  visitedColor: incognitoSettings.visitedColor,
+  visitedColorDark: incognitoSettings.visitedColorDark,
+  siteSettings: incognitoSettings.siteSettings
+});
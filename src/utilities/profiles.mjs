@@ -0,0 +1,110 @@
+// Named style profiles, shared by the popup and settings import
+// A profile bundles the global style and per-site style overrides; while it is active its values
+// are layered over the base settings. Everything else (enabling, selectors, rules) stays shared.
+import { isValidHexColor } from './validators.mjs';
+import { isValidSitePattern } from './site-patterns.mjs';
+import { VISITED_STYLE_FIELDS, isValidStyleValue } from './visited-style.mjs';
+
+export const MAX_PROFILES = 20;
+export const MAX_PROFILE_NAME_LENGTH = 40;
+
+const PROFILE_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+const PROFILE_FIELD_VALIDATORS = {
+  visitedColor: isValidHexColor,
+  visitedColorDark: isValidHexColor,
+  unvisitedColor: isValidStyleValue,
+  ...Object.fromEntries(VISITED_STYLE_FIELDS.map((field) => [field, isValidStyleValue]))
+};
+
+export const PROFILE_STYLE_FIELDS = Object.keys(PROFILE_FIELD_VALIDATORS);
+
+export const isProfileStyleField = (field) => Object.hasOwn(PROFILE_FIELD_VALIDATORS, field);
+
+const isValidProfileField = (field, value) => isProfileStyleField(field) && PROFILE_FIELD_VALIDATORS[field](value);
+
+export const isValidProfileName = (name) => typeof name === 'string'
+  && name.trim().length > 0
+  && name.length <= MAX_PROFILE_NAME_LENGTH;
+
+const isValidProfileStyle = (style) => style !== null && typeof style === 'object'
+  && Object.entries(style).every(([field, value]) => isValidProfileField(field, value));
+
+export const isValidProfile = (id, profile) => PROFILE_ID_PATTERN.test(id)
+  && profile !== null && typeof profile === 'object'
+  && isValidProfileName(profile.name)
+  && isValidProfileStyle(profile.style)
+  && profile.siteSettings !== null && typeof profile.siteSettings === 'object'
+  && Object.entries(profile.siteSettings).every(([site, rule]) => isValidSitePattern(site) && isValidProfileStyle(rule));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const repairProfileStyle = (style) => (isPlainObject(style)
+  ? Object.fromEntries(Object.entries(style).filter(([field, value]) => isValidProfileField(field, value)))
+  : {});
+
+// Drops invalid profiles and, within valid ones, invalid style fields and site overrides
+export const repairProfiles = (profiles) => {
+  if (!isPlainObject(profiles)) {
+    return {};
+  }
+
+  return Object.fromEntries(Object.entries(profiles)
+    .filter(([id, profile]) => PROFILE_ID_PATTERN.test(id) && isPlainObject(profile) && isValidProfileName(profile.name))
+    .slice(0, MAX_PROFILES)
+    .map(([id, profile]) => [id, {
+      name: profile.name,
+      style: repairProfileStyle(profile.style),
+      siteSettings: Object.fromEntries(Object.entries(isPlainObject(profile.siteSettings) ? profile.siteSettings : {})
+        .filter(([pattern]) => isValidSitePattern(pattern))
+        .map(([pattern, rule]) => [pattern, repairProfileStyle(rule)])
+        .filter(([, rule]) => Object.keys(rule).length > 0))
+    }]));
+};
+
+// The settings as they look with the active profile layered on top
+export const applyActiveProfile = (settings) => {
+  const profile = settings.profiles?.[settings.activeProfile];
+  if (!profile) {
+    return settings;
+  }
+
+  const siteSettings = { ...settings.siteSettings };
+  Object.entries(profile.siteSettings).forEach(([site, rule]) => {
+    siteSettings[site] = { ...siteSettings[site], ...rule };
+  });
+  return { ...settings, ...profile.style, siteSettings };
+};
+
+// New profiles start from the style currently shown, without site overrides
+export const createProfile = (name, settings) => {
+  const view = applyActiveProfile(settings);
+  return {
+    name: name.trim(),
+    style: Object.fromEntries(PROFILE_STYLE_FIELDS
+      .filter((field) => view[field] !== undefined)
+      .map((field) => [field, view[field]])),
+    siteSettings: {}
+  };
+};
+
+export const duplicateProfile = (name, profile) => ({
+  ...structuredClone(profile),
+  name: name.trim()
+});
+
+// Sets (or with undefined, removes) a site override, dropping rules left empty
+export const setProfileSiteField = (profile, site, field, value) => {
+  const rule = { ...profile.siteSettings[site] };
+  if (value === undefined) {
+    delete rule[field];
+  } else {
+    rule[field] = value;
+  }
+
+  const siteSettings = { ...profile.siteSettings, [site]: rule };
+  if (Object.keys(rule).length === 0) {
+    delete siteSettings[site];
+  }
+  return { ...profile, siteSettings };
+};
@@ -0,0 +1,14 @@
+// Recency shading helpers for the settings import and service worker
+// Visited links fade toward the page background by how long ago they were last visited
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bounds on the time since the last visit, newest tier first
+export const RECENCY_TIERS = [DAY_MS, 7 * DAY_MS, 30 * DAY_MS, Infinity];
+
+export const MAX_RECENCY_FADE = 90;
+
+// One whole percentage per tier
+export const isValidRecencyFades = (value) => Array.isArray(value)
+  && value.length === RECENCY_TIERS.length
+  && value.every((fade) => Number.isInteger(fade) && fade >= 0 && fade <= MAX_RECENCY_FADE);
@@ -0,0 +1,46 @@
+// Schedule and snooze helpers for the popup, settings import and service worker
+// Local storage key the service worker keeps snoozes under
+export const SNOOZES_KEY = 'snoozes';
+
+export const SCHEDULE_DAYS = [
+  { day: 1, label: 'Mon' },
+  { day: 2, label: 'Tue' },
+  { day: 3, label: 'Wed' },
+  { day: 4, label: 'Thu' },
+  { day: 5, label: 'Fri' },
+  { day: 6, label: 'Sat' },
+  { day: 0, label: 'Sun' }
+];
+
+export const SNOOZE_OPTIONS = [
+  { duration: '15m', label: 'For 15 minutes' },
+  { duration: '1h', label: 'For 1 hour' },
+  { duration: 'tomorrow', label: 'Until tomorrow' },
+  { duration: 'tab', label: 'Until this tab closes' }
+];
+
+const SCHEDULE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidSchedule = (value) => value !== null && typeof value === 'object'
+  && typeof value.enabled === 'boolean'
+  && Array.isArray(value.days)
+  && value.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+  && new Set(value.days).size === value.days.length
+  && SCHEDULE_TIME_PATTERN.test(value.start)
+  && SCHEDULE_TIME_PATTERN.test(value.end);
+
+// "Paused until …" text for a pause state from the service worker
+export const describePause = ({ until, tabId }, now = Date.now()) => {
+  if (tabId !== null) {
+    return 'Paused until tab closes';
+  }
+  if (until === null) {
+    return 'Paused';
+  }
+
+  const end = new Date(until);
+  const time = end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return new Date(now).toDateString() === end.toDateString()
+    ? `Paused until ${time}`
+    : `Paused until ${end.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+};
@@ -0,0 +1,17 @@
+// Messaging helpers for talking to the Visited Link Marker service worker
+
+export class ServiceWorkerMessenger {
+  static async send(action, payload = {}) {
+    const response = await chrome.runtime.sendMessage({ action, ...payload });
+
+    if (!response || !response.success) {
+      throw new Error('Service worker returned error: ' + (response?.error || 'Unknown error'));
+    }
+
+    return response.data;
+  }
+
+  static async updateSettings(settings) {
+    return await this.send('updateSettings', { settings });
+  }
+}
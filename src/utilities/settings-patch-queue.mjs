@@ -0,0 +1,93 @@
+// Debounced queue of settings changes shared by the popup and options page
+import { StorageManager } from './storage-manager.mjs';
+
+export class SettingsPatchQueue {
+  // save sends a batch of changes and resolves to whether they were stored
+  constructor({ delay = 300, onError = () => {}, save = (changes) => StorageManager.patchSettings(changes) } = {}) {
+    this.delay = delay;
+    this.onError = onError;
+    this.save = save;
+    this.pendingChanges = new Map();
+    this.flushTimeout = null;
+  }
+
+  // What a change edits: a destination rule, a compatibility rule override, a profile (or one of its
+  // site overrides), a site rule or the globals
+  getChangeOwner(change) {
+    if (change.id !== undefined) {
+      return `#${change.id}`;
+    }
+    if (change.rule !== undefined) {
+      return `!${change.rule}`;
+    }
+    if (change.profile !== undefined) {
+      return `@${change.profile} ${change.site ?? ''}`;
+    }
+    return change.site ?? '';
+  }
+
+  // Later changes to the same field replace earlier ones that have not been sent yet
+  getChangeKey(change) {
+    return `${this.getChangeOwner(change)}|${change.field ?? '*'}`;
+  }
+
+  async queue(change, { immediate = false } = {}) {
+    // Removals make pending edits of what they remove pointless; a removed profile takes its overrides along
+    if (['removeSite', 'removeDestination', 'removeProfile', 'removeCompatOverride'].includes(change.type)) {
+      const prefix = change.type === 'removeProfile' ? this.getChangeOwner(change) : `${this.getChangeOwner(change)}|`;
+      [...this.pendingChanges.keys()]
+        .filter((key) => key.startsWith(prefix))
+        .forEach((key) => this.pendingChanges.delete(key));
+    }
+
+    this.pendingChanges.delete(this.getChangeKey(change));
+    this.pendingChanges.set(this.getChangeKey(change), change);
+
+    if (this.flushTimeout) {
+      clearTimeout(this.flushTimeout);
+      this.flushTimeout = null;
+    }
+
+    if (immediate) {
+      return await this.flush();
+    }
+
+    // Debounce color changes to avoid sync write quota errors
+    this.flushTimeout = setTimeout(() => {
+      this.flush();
+    }, this.delay);
+    return true;
+  }
+
+  hasPending() {
+    return this.pendingChanges.size > 0;
+  }
+
+  async flush() {
+    if (this.flushTimeout) {
+      clearTimeout(this.flushTimeout);
+      this.flushTimeout = null;
+    }
+
+    if (this.pendingChanges.size === 0) {
+      return true;
+    }
+
+    const changes = [...this.pendingChanges.values()];
+    this.pendingChanges.clear();
+
+    const saved = await this.save(changes);
+    if (!saved) {
+      this.onError();
+    }
+    return saved;
+  }
+
+  // Cleanup method to clear timeouts
+  destroy() {
+    if (this.flushTimeout) {
+      clearTimeout(this.flushTimeout);
+      this.flushTimeout = null;
+    }
+  }
+}
@@ -0,0 +1,268 @@
+// Import/export of Visited Link Marker settings as JSON files
+import { isValidHexColor, isValidContrastRatio, MIN_CONTRAST_RATIO, MAX_CONTRAST_RATIO } from './validators.mjs';
+import { isValidSitePattern } from './site-patterns.mjs';
+import { isSiteRuleField, isValidSiteRuleField } from './site-rules.mjs';
+import { isValidCompatOverrideField } from './compat-rules.mjs';
+import { VISITED_STYLE_FIELDS, isValidStyleValue } from './visited-style.mjs';
+import { isValidDestinationRule, MAX_DESTINATION_RULES } from './destination-rules.mjs';
+import { isValidNormalization } from './url-normalization.mjs';
+import { isValidProfile, MAX_PROFILES } from './profiles.mjs';
+import { isValidSchedule } from './schedule.mjs';
+import { INCOGNITO_POLICIES, isValidIncognitoPolicy } from './incognito.mjs';
+import { RECENCY_TIERS, MAX_RECENCY_FADE, isValidRecencyFades } from './recency.mjs';
+
+export const EXPORT_FORMAT = 'visited-links-marker-settings';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export const buildSettingsExport = (settings) => {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: chrome.runtime.getManifest().version,
+    exportedAt: new Date().toISOString(),
+    settings
+  }, null, 2);
+};
+
+export const buildExportFileName = () => {
+  const date = new Date().toISOString().slice(0, 10);
+  return `visited-links-marker-settings-${date}.json`;
+};
+
+const parseCompatRuleOverrides = (rawOverrides, errors) => {
+  const overrides = {};
+
+  Object.entries(rawOverrides).forEach(([id, rawOverride]) => {
+    if (!isPlainObject(rawOverride)) {
+      errors.push(`Compatibility rule override for "${id}" was skipped`);
+      return;
+    }
+
+    const override = {};
+    Object.entries(rawOverride).forEach(([field, value]) => {
+      if (isValidCompatOverrideField(field, value)) {
+        override[field] = value;
+      } else {
+        errors.push(`Compatibility rule "${id}": invalid or unknown field "${field}" was skipped`);
+      }
+    });
+
+    if (Object.keys(override).length > 0) {
+      overrides[id] = override;
+    }
+  });
+
+  return overrides;
+};
+
+const parseProfiles = (rawProfiles, errors) => {
+  const profiles = Object.fromEntries(
+    Object.entries(rawProfiles).filter(([id, profile]) => isValidProfile(id, profile)).slice(0, MAX_PROFILES)
+  );
+  const skipped = Object.keys(rawProfiles).length - Object.keys(profiles).length;
+  if (skipped > 0) {
+    errors.push(`${skipped} invalid ${skipped === 1 ? 'profile was' : 'profiles were'} skipped`);
+  }
+  return profiles;
+};
+
+const parseDestinationRules = (rawRules, errors) => {
+  const rules = rawRules.filter(isValidDestinationRule).slice(0, MAX_DESTINATION_RULES);
+  const skipped = rawRules.length - rules.length;
+  if (skipped > 0) {
+    errors.push(`${skipped} invalid destination ${skipped === 1 ? 'rule was' : 'rules were'} skipped`);
+  }
+  return rules;
+};
+
+// Rules left without valid fields are skipped, like empty compatibility rule overrides
+const parseSiteSettings = (rawSiteSettings, errors) => {
+  const siteSettings = {};
+
+  Object.entries(rawSiteSettings).forEach(([site, rawRule]) => {
+    if (!isValidSitePattern(site)) {
+      errors.push(`"${site}" is not a valid site or pattern`);
+      return;
+    }
+
+    if (!isPlainObject(rawRule)) {
+      errors.push(`Rule for ${site} must be an object`);
+      return;
+    }
+
+    const rule = {};
+    Object.entries(rawRule).forEach(([field, value]) => {
+      if (!isSiteRuleField(field)) {
+        errors.push(`Rule for ${site}: unknown field "${field}" was skipped`);
+      } else if (!isValidSiteRuleField(field, value)) {
+        errors.push(`Rule for ${site}: invalid value for "${field}"`);
+      } else {
+        rule[field] = value;
+      }
+    });
+
+    if (Object.keys(rule).length > 0) {
+      siteSettings[site] = rule;
+    }
+  });
+
+  return siteSettings;
+};
+
+const isBoolean = (value) => typeof value === 'boolean';
+const mustBeBoolean = (value, field) => `Global "${field}" must be true or false`;
+
+// Every importable field: the validator the service worker keeps stored settings valid with and the
+// error for a value that fails it. Collections are parsed entry by entry after that, so one bad
+// entry doesn't cost the others.
+const IMPORT_FIELDS = {
+  visitedColor: { isValid: isValidHexColor, error: (value) => `Global color "${value}" is not a valid hex color` },
+  visitedColorDark: {
+    isValid: isValidHexColor,
+    error: (value) => `Global dark mode color "${value}" is not a valid hex color`
+  },
+  detectPageDarkness: { isValid: isBoolean, error: mustBeBoolean },
+  autoContrast: { isValid: isBoolean, error: mustBeBoolean },
+  contrastRatio: {
+    isValid: isValidContrastRatio,
+    error: () => `Global "contrastRatio" must be a number from ${MIN_CONTRAST_RATIO} to ${MAX_CONTRAST_RATIO}`
+  },
+  unvisitedColor: {
+    isValid: isValidStyleValue,
+    error: (value) => `Global unvisited color "${value}" must be a hex color or null`
+  },
+  enabled: { isValid: isBoolean, error: mustBeBoolean },
+  badgeColorSwatch: { isValid: isBoolean, error: mustBeBoolean },
+  compatRuleOverrides: {
+    isValid: isPlainObject,
+    error: () => '"compatRuleOverrides" must be an object of rule overrides',
+    parse: parseCompatRuleOverrides
+  },
+  recencyShading: { isValid: isBoolean, error: mustBeBoolean },
+  recencyFades: {
+    isValid: isValidRecencyFades,
+    error: () => `Global "recencyFades" must list ${RECENCY_TIERS.length} whole percentages from 0 to ${MAX_RECENCY_FADE}`
+  },
+  normalizedVisits: { isValid: isBoolean, error: mustBeBoolean },
+  normalization: {
+    isValid: isValidNormalization,
+    error: () => 'Global "normalization" must list query parameters and three true/false options'
+  },
+  schedule: {
+    isValid: isValidSchedule,
+    error: () => 'Global "schedule" must list days 0 to 6 and start and end times like "09:00"'
+  },
+  incognitoPolicy: {
+    isValid: isValidIncognitoPolicy,
+    error: () => `Global "incognitoPolicy" must be one of ${INCOGNITO_POLICIES.map(({ policy }) => `"${policy}"`).join(', ')}`
+  },
+  profiles: { isValid: isPlainObject, error: () => '"profiles" must be an object of named profiles', parse: parseProfiles },
+  activeProfile: {
+    isValid: (value) => value === null || typeof value === 'string',
+    error: () => '"activeProfile" must be a profile id or null'
+  },
+  destinationRules: {
+    isValid: Array.isArray,
+    error: () => '"destinationRules" must be a list of destination rules',
+    parse: parseDestinationRules
+  },
+  ...Object.fromEntries(VISITED_STYLE_FIELDS.map((field) => [
+    field,
+    { isValid: isValidStyleValue, error: () => `Global "${field}" must be a hex color or null` }
+  ])),
+  siteSettings: { isValid: isPlainObject, error: () => '"siteSettings" must be an object of site rules', parse: parseSiteSettings }
+};
+
+// Validates an imported file, keeping every valid entry and describing every rejected one
+export const parseSettingsImport = (text) => {
+  const errors = [];
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { settings: null, errors: ['The file is not valid JSON'] };
+  }
+
+  // Accept both our export wrapper and a bare settings object
+  const raw = isPlainObject(data) && data.format === EXPORT_FORMAT ? data.settings : data;
+  if (!isPlainObject(raw)) {
+    return { settings: null, errors: ['The file does not contain a settings object'] };
+  }
+
+  const settings = {};
+  Object.entries(IMPORT_FIELDS).forEach(([field, { isValid, error, parse }]) => {
+    if (raw[field] === undefined) {
+      return;
+    }
+    if (!isValid(raw[field])) {
+      errors.push(error(raw[field], field));
+    } else {
+      settings[field] = parse ? parse(raw[field], errors) : raw[field];
+    }
+  });
+
+  if (Object.keys(settings).length === 0) {
+    errors.push('No usable settings were found in the file');
+    return { settings: null, errors };
+  }
+
+  return { settings, errors };
+};
+
+// Replace: imported values on top of defaults. Merge: imported values on top of current settings.
+// Returns { settings, errors }; errors describe what the current settings had no room for.
+export const applySettingsImport = (currentSettings, importedSettings, mode, defaultSettings) => {
+  if (mode === 'replace') {
+    return {
+      settings: {
+        ...defaultSettings,
+        ...importedSettings,
+        siteSettings: { ...(importedSettings.siteSettings || {}) }
+      },
+      errors: []
+    };
+  }
+
+  const errors = [];
+  const siteSettings = { ...(currentSettings.siteSettings || {}) };
+
+  Object.entries(importedSettings.siteSettings || {}).forEach(([site, rule]) => {
+    siteSettings[site] = { ...(siteSettings[site] || {}), ...rule };
+  });
+
+  // Imported destination rules replace ones with the same id and are appended otherwise
+  const destinationRules = [...(currentSettings.destinationRules || [])];
+  (importedSettings.destinationRules || []).forEach((rule) => {
+    const index = destinationRules.findIndex((current) => current.id === rule.id);
+    if (index === -1) {
+      destinationRules.push(rule);
+    } else {
+      destinationRules[index] = rule;
+    }
+  });
+  const dropped = destinationRules.length - MAX_DESTINATION_RULES;
+  if (dropped > 0) {
+    errors.push(`${dropped} imported destination ${dropped === 1 ? 'rule was' : 'rules were'} left out: `
+      + `there is room for ${MAX_DESTINATION_RULES}`);
+  }
+
+  return {
+    settings: {
+      ...currentSettings,
+      ...importedSettings,
+      compatRuleOverrides: {
+        ...(currentSettings.compatRuleOverrides || {}),
+        ...(importedSettings.compatRuleOverrides || {})
+      },
+      destinationRules: destinationRules.slice(0, MAX_DESTINATION_RULES),
+      // Imported profiles replace ones with the same id
+      profiles: {
+        ...(currentSettings.profiles || {}),
+        ...(importedSettings.profiles || {})
+      },
+      siteSettings
+    },
+    errors
+  };
+};
@@ -0,0 +1,169 @@
+// Site rule pattern helpers shared by the pages and the service worker
+// Patterns: "example.com", "*.example.com" (domain and subdomains), "example.com/path/*" (path prefix,
+// also matches "/path" itself) or "/regex/" (tested against the full URL)
+import { isValidHostname } from './validators.mjs';
+
+const REGEX_PATTERN = /^\/(.+)\/(i?)$/;
+
+// Second-level labels that sit under a country TLD (example.co.uk, example.com.au)
+const COUNTRY_SECOND_LEVEL_LABELS = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'ne', 'or']);
+
+export const isRegexPattern = (pattern) => REGEX_PATTERN.test(pattern);
+
+const MAX_SITE_PATTERN_LENGTH = 500;
+
+const sitePatternCache = new Map();
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Hosts match case-insensitively, paths as written
+const compileSitePattern = (pattern) => {
+  if (typeof pattern !== 'string' || pattern.length === 0 || pattern.length > MAX_SITE_PATTERN_LENGTH) {
+    return null;
+  }
+
+  const regexMatch = pattern.match(REGEX_PATTERN);
+  if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2]);
+    return {
+      test: (url) => regex.test(url.href),
+      // Regex rules are the least specific: any hostname or path rule wins over them
+      specificity: [0, 0, 0, 0, pattern.length],
+      // Regexes have no content script match pattern equivalent
+      baseHost: null,
+      matchPatterns: null
+    };
+  }
+
+  const slashIndex = pattern.indexOf('/');
+  const hostPart = (slashIndex === -1 ? pattern : pattern.slice(0, slashIndex)).toLowerCase();
+  const pathPart = slashIndex === -1 ? '' : pattern.slice(slashIndex);
+  const isWildcardHost = hostPart.startsWith('*.');
+  const baseHost = isWildcardHost ? hostPart.slice(2) : hostPart;
+  if (!isValidHostname(baseHost) || /\s/.test(pathPart)) {
+    return null;
+  }
+
+  let pathRegex = null;
+  // Match patterns also see the query string, so each path gets a "?*" variant
+  let matchPaths = ['/*'];
+  if (pathPart) {
+    const folderWildcard = pathPart.endsWith('/*');
+    const literal = folderWildcard ? pathPart.slice(0, -2) : pathPart;
+    const source = literal.split('*').map(escapeRegExp).join('.*');
+    pathRegex = new RegExp('^' + source + (folderWildcard ? '(/.*)?' : '') + '$');
+    matchPaths = folderWildcard ? [literal, `${literal}?*`, `${literal}/*`] : [pathPart, `${pathPart}?*`];
+  }
+
+  return {
+    test: (url) => {
+      const host = url.hostname.toLowerCase();
+      const hostMatches = isWildcardHost
+        ? host === baseHost || host.endsWith('.' + baseHost)
+        : host === baseHost;
+      return hostMatches && (!pathRegex || pathRegex.test(url.pathname));
+    },
+    // Path rules beat host rules, longer paths beat shorter ones, exact hosts beat wildcards,
+    // and deeper wildcard domains beat shallower ones
+    specificity: [
+      1,
+      pathPart ? 1 : 0,
+      pathPart.replace(/\*/g, '').length,
+      isWildcardHost ? 0 : 1,
+      baseHost.split('.').length
+    ],
+    baseHost,
+    // "*.example.com" in a match pattern also covers example.com itself, like our rules
+    matchPatterns: matchPaths.map((path) => `*://${hostPart}${path}`)
+  };
+};
+
+// Compiled pattern with test(url), specificity, baseHost and matchPatterns; null when invalid
+export const getSitePattern = (pattern) => {
+  if (!sitePatternCache.has(pattern)) {
+    let compiled = null;
+    try {
+      compiled = compileSitePattern(pattern);
+    } catch (error) {
+      // Invalid regex - rule never matches
+    }
+    sitePatternCache.set(pattern, compiled);
+  }
+  return sitePatternCache.get(pattern);
+};
+
+export const isValidSitePattern = (pattern) => getSitePattern(pattern) !== null;
+
+export const compareSpecificity = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+};
+
+// Accepts a pattern or a pasted URL, lowercases the host part and drops the scheme
+export const normalizeSitePattern = (input) => {
+  const value = String(input || '').trim();
+  if (isRegexPattern(value)) {
+    return value;
+  }
+
+  const withoutScheme = value.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  const slashIndex = withoutScheme.indexOf('/');
+  if (slashIndex === -1) {
+    return withoutScheme.toLowerCase();
+  }
+
+  const hostPart = withoutScheme.slice(0, slashIndex).toLowerCase();
+  const pathPart = withoutScheme.slice(slashIndex).split(/[?#]/)[0];
+  return pathPart === '/' ? hostPart : hostPart + pathPart;
+};
+
+export const getRegistrableDomain = (hostname) => {
+  // IP addresses and single-label hosts have no parent domain
+  if (/^[\d.]+$/.test(hostname) || hostname.includes(':')) {
+    return hostname;
+  }
+
+  const labels = hostname.split('.');
+  if (labels.length <= 2) {
+    return hostname;
+  }
+
+  const topLevel = labels[labels.length - 1];
+  const secondLevel = labels[labels.length - 2];
+  const keep = topLevel.length === 2 && COUNTRY_SECOND_LEVEL_LABELS.has(secondLevel) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+};
+
+// Rule keys the popup offers for a page: this host, the whole domain, and this path
+export const buildScopeCandidates = (url) => {
+  const candidates = [];
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return candidates;
+  }
+
+  const hostname = urlObj.hostname;
+  if (!hostname) {
+    return candidates;
+  }
+
+  candidates.push({ scope: 'host', label: 'This host', pattern: hostname });
+
+  const domain = getRegistrableDomain(hostname);
+  candidates.push({ scope: 'domain', label: 'Whole domain', pattern: `*.${domain}` });
+
+  // Use the folder the current page lives in, e.g. /owner/repo/issues/123 -> /owner/repo/issues/*
+  const segments = urlObj.pathname.split('/').filter(Boolean);
+  if (segments.length > 0) {
+    const folder = segments.length > 1 ? segments.slice(0, -1) : segments;
+    candidates.push({ scope: 'path', label: 'This path', pattern: `${hostname}/${folder.join('/')}/*` });
+  }
+
+  return candidates;
+};
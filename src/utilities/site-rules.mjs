@@ -0,0 +1,18 @@
+// Site rule fields, shared by settings import and the service worker
+import { isValidHexColor, isValidLinkSelectorList } from './validators.mjs';
+import { VISITED_STYLE_FIELDS, isValidStyleValue } from './visited-style.mjs';
+import { isValidNormalization } from './url-normalization.mjs';
+
+const SITE_RULE_VALIDATORS = {
+  enabled: (value) => typeof value === 'boolean',
+  visitedColor: isValidHexColor,
+  visitedColorDark: isValidHexColor,
+  unvisitedColor: isValidStyleValue,
+  linkSelectors: isValidLinkSelectorList,
+  normalization: isValidNormalization,
+  ...Object.fromEntries(VISITED_STYLE_FIELDS.map((field) => [field, isValidStyleValue]))
+};
+
+export const isSiteRuleField = (field) => Object.hasOwn(SITE_RULE_VALIDATORS, field);
+
+export const isValidSiteRuleField = (field, value) => isSiteRuleField(field) && SITE_RULE_VALIDATORS[field](value);
@@ -1,18 +1,44 @@
 // Storage management for Visited Link Marker extension
+import { ServiceWorkerMessenger } from './service-worker-messenger.mjs';
 
+// The service worker owns the settings schema and storage layout (site rules are sharded across
+// several sync items), so every read and write goes through it
 export class StorageManager {
   static async getSettings() {
+    return await ServiceWorkerMessenger.send('getSettings');
+  }
+
+  static async getDefaultSettings() {
+    return await ServiceWorkerMessenger.send('getDefaultSettings');
+  }
+
+  static async setSettings(settings) {
     try {
-      const result = await chrome.storage.sync.get(SETTINGS_KEY);
-      return result[SETTINGS_KEY] || DEFAULT_SETTINGS;
+      await ServiceWorkerMessenger.send('setSettings', { settings });
+      return true;
     } catch (error) {
-      return DEFAULT_SETTINGS;
+      return false;
     }
   }
 
-  static async setSettings(settings) {
+  // Preferred write path: a list of single-field changes built with SettingsPatch
+  static async patchSettings(changes) {
     try {
-      await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+      await ServiceWorkerMessenger.send('patchSettings', { changes });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Incognito-only colors and site rules, which the worker keeps out of sync storage
+  static async getIncognitoSettings() {
+    return await ServiceWorkerMessenger.send('getIncognitoSettings');
+  }
+
+  static async patchIncognitoSettings(changes) {
+    try {
+      await ServiceWorkerMessenger.send('patchIncognitoSettings', { changes });
       return true;
     } catch (error) {
       return false;
@@ -21,21 +47,63 @@ export class StorageManager {
 
   static async updateSettings(updates) {
     try {
-      const currentSettings = await this.getSettings();
-      const newSettings = { ...currentSettings, ...updates };
-      return await this.setSettings(newSettings);
+      await ServiceWorkerMessenger.updateSettings(updates);
+      return true;
     } catch (error) {
       return false;
     }
   }
+
+  static async getStorageUsage() {
+    return await ServiceWorkerMessenger.send('getStorageUsage');
+  }
 }
 
-// Default settings
-export const DEFAULT_SETTINGS = {
-  visitedColor: '#551a8b', // Global color - default purple
-  enabled: true,            // Global enable/disable
-  siteSettings: {}          // Site-specific settings (empty by default)
+// Builders for single-field changes; the service worker merges them with concurrent edits
+export const SettingsPatch = {
+  setGlobal: (field, value) => ({ type: 'setGlobal', field, value }),
+  setSite: (site, field, value) => ({ type: 'setSite', site, field, value }),
+  removeSiteField: (site, field) => ({ type: 'removeSiteField', site, field }),
+  removeSite: (site) => ({ type: 'removeSite', site }),
+  setDestination: (id, field, value) => ({ type: 'setDestination', id, field, value }),
+  removeDestination: (id) => ({ type: 'removeDestination', id }),
+  // Profiles by id: name and style fields, then per-site style overrides
+  setProfile: (profile, field, value) => ({ type: 'setProfile', profile, field, value }),
+  removeProfile: (profile) => ({ type: 'removeProfile', profile }),
+  setProfileSite: (profile, site, field, value) => ({ type: 'setProfileSite', profile, site, field, value }),
+  removeProfileSiteField: (profile, site, field) => ({ type: 'removeProfileSiteField', profile, site, field }),
+  // Overrides of compatibility rule pack values, by rule id
+  setCompatOverride: (rule, field, value) => ({ type: 'setCompatOverride', rule, field, value }),
+  removeCompatOverrideField: (rule, field) => ({ type: 'removeCompatOverrideField', rule, field }),
+  removeCompatOverride: (rule) => ({ type: 'removeCompatOverride', rule })
 };
 
 // Settings key for storage
 export const SETTINGS_KEY = 'settings';
+
+// Revisions of the global settings fields, for merging concurrent edits
+export const SETTINGS_REVISIONS_KEY = 'settingsRevisions';
+
+// Prefix of the items holding sharded site rules
+export const SITE_SHARD_PREFIX = 'siteSettings_';
+
+// Prefix of the items holding destination rules, one entry per rule id
+export const DESTINATION_SHARD_PREFIX = 'destinationRules_';
+
+// Prefixes of the items holding profiles and their site overrides
+export const PROFILE_SHARD_PREFIX = 'profiles_';
+export const PROFILE_SITE_SHARD_PREFIX = 'profileSites_';
+
+// Prefix of the items holding compatibility rule overrides, one entry per rule id
+export const COMPAT_OVERRIDE_SHARD_PREFIX = 'compatOverrides_';
+
+// Local storage key of the incognito-only settings
+export const INCOGNITO_SETTINGS_KEY = 'incognitoSettings';
+
+export const isSettingsStorageKey = (key) => key === SETTINGS_KEY
+  || key === SETTINGS_REVISIONS_KEY
+  || key.startsWith(SITE_SHARD_PREFIX)
+  || key.startsWith(DESTINATION_SHARD_PREFIX)
+  || key.startsWith(PROFILE_SHARD_PREFIX)
+  || key.startsWith(PROFILE_SITE_SHARD_PREFIX)
+  || key.startsWith(COMPAT_OVERRIDE_SHARD_PREFIX);
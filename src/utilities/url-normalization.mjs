@@ -0,0 +1,35 @@
+// URL normalization helpers for the popup, settings import and service worker
+// With normalized visits on, a link counts as visited when a page with the same normalized URL was
+// visited: listed query parameters removed ("utm_*" matches a prefix), and optionally the fragment,
+// trailing slashes and a leading "www."
+export const NORMALIZATION_OPTIONS = [
+  { field: 'stripFragment', label: 'Ignore #fragments' },
+  { field: 'stripTrailingSlash', label: 'Ignore trailing slashes' },
+  { field: 'stripWww', label: 'Ignore "www."' }
+];
+
+export const MAX_STRIP_PARAMS = 50;
+
+const STRIP_PARAM_PATTERN = /^[A-Za-z0-9_.\-[\]]{1,64}\*?$/;
+
+export const isValidStripParam = (param) => typeof param === 'string' && STRIP_PARAM_PATTERN.test(param);
+
+export const isValidNormalization = (value) => value !== null && typeof value === 'object'
+  && Array.isArray(value.stripParams)
+  && value.stripParams.length <= MAX_STRIP_PARAMS
+  && value.stripParams.every(isValidStripParam)
+  && NORMALIZATION_OPTIONS.every(({ field }) => typeof value[field] === 'boolean');
+
+// One parameter per line or comma-separated
+export const parseStripParams = (text) => {
+  const params = [...new Set(String(text || '').split(/[\n,]/).map((param) => param.trim()).filter(Boolean))];
+
+  const invalid = params.find((param) => !isValidStripParam(param));
+  if (invalid) {
+    return { params: null, error: `"${invalid}" is not a query parameter name` };
+  }
+  if (params.length > MAX_STRIP_PARAMS) {
+    return { params: null, error: `At most ${MAX_STRIP_PARAMS} parameters` };
+  }
+  return { params, error: null };
+};
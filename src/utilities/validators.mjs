@@ -0,0 +1,90 @@
+// Input validation helpers shared by the popup, options page and service worker
+
+export const isValidHexColor = (hex) => {
+  return typeof hex === 'string' && /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(hex);
+};
+
+export const isValidHostname = (hostname) => {
+  if (typeof hostname !== 'string' || hostname.length === 0 || hostname.length > 253) {
+    return false;
+  }
+  return /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(hostname);
+};
+
+// WCAG contrast ratios range from 1 (no contrast) to 21 (black on white)
+export const MIN_CONTRAST_RATIO = 1;
+export const MAX_CONTRAST_RATIO = 21;
+
+export const isValidContrastRatio = (value) => typeof value === 'number'
+  && value >= MIN_CONTRAST_RATIO && value <= MAX_CONTRAST_RATIO;
+
+
+export const MAX_LINK_SELECTORS = 20;
+export const MAX_LINK_SELECTOR_LENGTH = 200;
+
+// Characters and tokens that could close the :is() wrapper or the rule around it
+const UNSAFE_SELECTOR_PATTERN = /[{};@\\\n\r]|\/\*|\*\/|::|:(visited|link)\b/i;
+
+// Link selectors end up as :is(selector):visited in the injected stylesheet, so they must not
+// contain anything that escapes that wrapper; brackets, parentheses and quotes have to be balanced
+export const isSafeLinkSelector = (selector) => {
+  if (typeof selector !== 'string' || selector.trim() === '' || selector.length > MAX_LINK_SELECTOR_LENGTH) {
+    return false;
+  }
+  if (UNSAFE_SELECTOR_PATTERN.test(selector)) {
+    return false;
+  }
+
+  const closers = [];
+  let quote = null;
+  for (const char of selector) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      closers.push(char === '(' ? ')' : ']');
+    } else if (char === ')' || char === ']') {
+      if (closers.pop() !== char) {
+        return false;
+      }
+    }
+  }
+  return quote === null && closers.length === 0;
+};
+
+// Pages also check that the browser parses the selector; the service worker has no DOM to ask
+export const isValidLinkSelector = (selector) => {
+  if (!isSafeLinkSelector(selector)) {
+    return false;
+  }
+  if (typeof document === 'undefined') {
+    return true;
+  }
+
+  try {
+    document.createDocumentFragment().querySelector(`:is(${selector}):visited`);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const isValidLinkSelectorList = (value) => Array.isArray(value)
+  && value.length > 0
+  && value.length <= MAX_LINK_SELECTORS
+  && value.every(isValidLinkSelector);
+
+// Splits text with one selector per line; invalid lines are reported rather than dropped
+export const parseLinkSelectors = (text) => {
+  const lines = [...new Set(String(text).split('\n').map((line) => line.trim()).filter(Boolean))];
+  const invalid = lines.filter((line) => !isValidLinkSelector(line));
+  const error = invalid.length > 0
+    ? `Invalid selector: ${invalid[0]}`
+    : lines.length > MAX_LINK_SELECTORS
+      ? `At most ${MAX_LINK_SELECTORS} selectors per site`
+      : null;
+  return { selectors: lines, error };
+};
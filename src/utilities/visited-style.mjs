@@ -0,0 +1,17 @@
+// Extra visited-link style properties, shared by the popup, options page, import and service worker
+import { isValidHexColor } from './validators.mjs';
+
+export const VISITED_STYLE_PROPERTIES = [
+  { field: 'backgroundColor', cssProperty: 'background-color', label: 'Background', description: 'Tint behind visited links' },
+  { field: 'textDecorationColor', cssProperty: 'text-decoration-color', label: 'Underline', description: 'Color of the link underline' },
+  { field: 'outlineColor', cssProperty: 'outline-color', label: 'Outline', description: 'Where the site draws link outlines' },
+  { field: 'borderColor', cssProperty: 'border-color', label: 'Border', description: 'Where the site draws link borders' },
+  { field: 'columnRuleColor', cssProperty: 'column-rule-color', label: 'Column rule', description: 'Rules between columns in links' },
+  { field: 'fillColor', cssProperty: 'fill', label: 'SVG fill', description: 'Icons inside visited links' },
+  { field: 'strokeColor', cssProperty: 'stroke', label: 'SVG stroke', description: 'Icon outlines inside visited links' }
+];
+
+export const VISITED_STYLE_FIELDS = VISITED_STYLE_PROPERTIES.map((property) => property.field);
+
+// null turns a property off; site rules leave a field out to inherit the global value
+export const isValidStyleValue = (value) => value === null || isValidHexColor(value);
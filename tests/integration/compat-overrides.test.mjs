@@ -0,0 +1,60 @@
+// Compatibility rule overrides are patched per rule and field, so edits from different pages
+// and devices don't replace each other
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServiceWorker } from '../mocks/extension-mock.mjs';
+
+const patch = async (worker, changes) => {
+  const response = await worker.send({ action: 'patchSettings', changes });
+  assert.equal(response.success, true);
+};
+
+const getOverrides = async (worker) => (await worker.send({ action: 'getSettings' })).data.compatRuleOverrides;
+
+test('edits to different fields of a rule are both kept', async () => {
+  const worker = await loadServiceWorker();
+
+  await patch(worker, [{ type: 'setCompatOverride', rule: 'github-primer', field: 'enabled', value: false }]);
+  await patch(worker, [{ type: 'setCompatOverride', rule: 'github-primer', field: 'boost', value: 2 }]);
+  await patch(worker, [{ type: 'setCompatOverride', rule: 'reddit-links', field: 'boost', value: 1 }]);
+
+  assert.deepEqual(await getOverrides(worker), {
+    'github-primer': { enabled: false, boost: 2 },
+    'reddit-links': { boost: 1 }
+  });
+});
+
+test('an override left without fields is removed', async () => {
+  const worker = await loadServiceWorker();
+
+  await patch(worker, [
+    { type: 'setCompatOverride', rule: 'github-primer', field: 'enabled', value: false },
+    { type: 'setCompatOverride', rule: 'github-primer', field: 'boost', value: 2 }
+  ]);
+  await patch(worker, [{ type: 'removeCompatOverrideField', rule: 'github-primer', field: 'enabled' }]);
+  assert.deepEqual(await getOverrides(worker), { 'github-primer': { boost: 2 } });
+
+  await patch(worker, [{ type: 'removeCompatOverrideField', rule: 'github-primer', field: 'boost' }]);
+  assert.deepEqual(await getOverrides(worker), {});
+});
+
+test('overrides are stored outside the main item with revisions per field', async () => {
+  const sync = {};
+  const worker = await loadServiceWorker({ sync });
+
+  await patch(worker, [{ type: 'setCompatOverride', rule: 'github-primer', field: 'enabled', value: false }]);
+
+  assert.equal(sync.settings.compatRuleOverrides, undefined);
+  assert.equal(sync.settings.compatOverrideShards, 1);
+  const { _rev, ...override } = sync.compatOverrides_0['github-primer'];
+  assert.deepEqual(override, { enabled: false });
+  assert.ok(Number.isFinite(_rev.enabled));
+});
+
+test('overrides stored in the main item by schema 19 are still read', async () => {
+  const sync = { settings: { schemaVersion: 19, compatRuleOverrides: { 'github-primer': { boost: 3 } } } };
+  const worker = await loadServiceWorker({ sync });
+
+  assert.deepEqual(await getOverrides(worker), { 'github-primer': { boost: 3 } });
+});
@@ -0,0 +1,97 @@
+// Content script and service worker together: frames are identified by the message sender,
+// styled with their own site rules, and restyled as the page changes
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TAB, wait, loadServiceWorker, loadFrame, getInsertedCSS } from '../mocks/extension-mock.mjs';
+
+const CONTENT_SCRIPT = 'content-scripts/content-script.mjs';
+const EMBED_COLOR = '#00aa00';
+
+// Embeds on embed.example.org have a color of their own
+const loadWorkerWithEmbedRule = async () => {
+  const worker = await loadServiceWorker();
+  const response = await worker.send({
+    action: 'patchSettings',
+    changes: [{ type: 'setSite', site: 'embed.example.org', field: 'visitedColor', value: EMBED_COLOR }]
+  });
+  assert.equal(response.success, true);
+  return worker;
+};
+
+test('styles the document that asked, with the site rules of its frame', async () => {
+  const worker = await loadWorkerWithEmbedRule();
+
+  const response = await worker.send({ action: 'injectCSS' }, {
+    tab: TAB,
+    frameId: 3,
+    documentId: 'embed-document',
+    url: 'https://embed.example.org/widget',
+    origin: 'https://embed.example.org'
+  });
+
+  assert.equal(response.success, true);
+  const injections = worker.callsTo('scripting.insertCSS').filter(({ target }) => target.documentIds?.includes('embed-document'));
+  assert.equal(injections.length, 1);
+  assert.deepEqual(injections[0].target, { tabId: TAB.id, documentIds: ['embed-document'] });
+  assert.match(injections[0].css, new RegExp(EMBED_COLOR));
+});
+
+test('styles about:blank frames by the origin they inherit', async () => {
+  const worker = await loadWorkerWithEmbedRule();
+
+  await worker.send({ action: 'injectCSS' }, {
+    tab: TAB,
+    frameId: 4,
+    documentId: 'blank-document',
+    url: 'about:blank',
+    origin: 'https://embed.example.org'
+  });
+
+  const [css] = getInsertedCSS(worker, 'blank-document');
+  assert.match(css, new RegExp(EMBED_COLOR));
+});
+
+test('content script asks for its stylesheet without naming a tab', async () => {
+  const worker = await loadWorkerWithEmbedRule();
+
+  const frame = await loadFrame(worker, {
+    frameId: 5,
+    documentId: 'frame-document',
+    url: 'https://embed.example.org/feed',
+    scripts: [CONTENT_SCRIPT]
+  });
+
+  const request = frame.messages.find((message) => message.action === 'injectCSS');
+  assert.deepEqual(Object.keys(request), ['action']);
+  const [css] = getInsertedCSS(worker, 'frame-document');
+  assert.match(css, /a:visited/);
+  assert.match(css, new RegExp(EMBED_COLOR));
+});
+
+test('links added later make the content script ask for styles again', async () => {
+  const worker = await loadServiceWorker();
+  const frame = await loadFrame(worker, {
+    frameId: 0,
+    documentId: 'top-document',
+    url: TAB.url,
+    scripts: [CONTENT_SCRIPT]
+  });
+  const countRequests = () => frame.messages.filter((message) => message.action === 'injectCSS').length;
+  assert.equal(countRequests(), 1);
+
+  // A burst of insertions is one request once the page settles
+  const list = frame.document.body.appendChild(frame.document.createElement('ul'));
+  ['/issues/6', '/issues/7'].forEach((href) => {
+    const link = frame.document.createElement('a');
+    link.setAttribute('href', href);
+    list.appendChild(frame.document.createElement('li')).appendChild(link);
+  });
+  await wait(400);
+  assert.equal(countRequests(), 2);
+
+  // Content without links is left alone
+  frame.document.body.appendChild(frame.document.createElement('p'));
+  await wait(400);
+  assert.equal(countRequests(), 2);
+});
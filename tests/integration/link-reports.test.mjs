@@ -0,0 +1,70 @@
+// Links content scripts report for recency shading and normalized visits: a page's batches
+// restyle its frame once, not once per batch, and only its own site's URL variants are marked
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TAB, wait, loadServiceWorker, loadFrame, getInsertedCSS } from '../mocks/extension-mock.mjs';
+
+const CONTENT_SCRIPT = 'content-scripts/content-script.mjs';
+
+const SENDER = {
+  tab: TAB,
+  frameId: 0,
+  documentId: 'top-document',
+  url: TAB.url,
+  origin: new URL(TAB.url).origin
+};
+
+const createBatch = (start) => Array.from({ length: 100 }, (_, index) => {
+  const href = `/issues/${start + index}`;
+  return { href, url: new URL(href, TAB.url).href };
+});
+
+test('batches reported back to back restyle the frame once', async () => {
+  const worker = await loadServiceWorker({ history: true });
+  // Every link was visited a few days ago and is faded, so each batch changes the stylesheet
+  worker.chrome.history.getVisits = async () => [{ visitTime: Date.now() - 3 * 24 * 60 * 60 * 1000 }];
+  await worker.send({ action: 'patchSettings', changes: [{ type: 'setGlobal', field: 'recencyShading', value: true }] });
+  await worker.send({ action: 'injectCSS' }, SENDER);
+  await wait(200);
+  const countInjections = () => worker.callsTo('scripting.insertCSS').length;
+  const injectionsBefore = countInjections();
+
+  for (let start = 0; start < 500; start += 100) {
+    const response = await worker.send({ action: 'reportLinks', links: createBatch(start) }, SENDER);
+    assert.equal(response.data.enabled, true);
+  }
+  await wait(400);
+
+  assert.equal(countInjections() - injectionsBefore, 1);
+  assert.equal(getInsertedCSS(worker, SENDER.documentId).length, 2);
+});
+
+test('links whose normalized URL was visited are marked on their own site only', async () => {
+  const worker = await loadServiceWorker({
+    local: {
+      normalizedVisits: {
+        'docs.example.com/issues/6': Date.now(),
+        'news.example.org/story/1': Date.now()
+      }
+    }
+  });
+  await worker.send({ action: 'patchSettings', changes: [{ type: 'setGlobal', field: 'normalizedVisits', value: true }] });
+  const frame = await loadFrame(worker, {
+    frameId: 0,
+    documentId: 'top-document',
+    url: TAB.url,
+    scripts: [CONTENT_SCRIPT]
+  });
+
+  ['/issues/6?utm_source=feed', 'https://news.example.org/story/1?utm_source=feed'].forEach((href) => {
+    const link = frame.document.createElement('a');
+    link.setAttribute('href', href);
+    frame.document.body.appendChild(link);
+  });
+  await wait(800);
+
+  const css = getInsertedCSS(worker, 'top-document').at(-1);
+  assert.match(css, /a\[href="\/issues\/6\?utm_source=feed"\]:link/);
+  assert.doesNotMatch(css, /news\.example\.org/);
+});
@@ -0,0 +1,37 @@
+// Settings changes seen through storage events: the worker refreshes open tabs for edits made
+// elsewhere, not again for its own writes
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wait, loadServiceWorker } from '../mocks/extension-mock.mjs';
+
+const countSettingsUpdates = (worker) => worker.calls
+  .filter(({ name, args: [, message] }) => name === 'tabs.sendMessage' && message?.action === 'updateSettings').length;
+
+test('the worker\'s own writes notify tabs once', async () => {
+  const worker = await loadServiceWorker();
+  const updatesBefore = countSettingsUpdates(worker);
+
+  await worker.send({ action: 'patchSettings', changes: [{ type: 'setGlobal', field: 'visitedColor', value: '#123456' }] });
+  await wait(200);
+
+  assert.equal(countSettingsUpdates(worker) - updatesBefore, 1);
+});
+
+test('edits from another device refresh open tabs', async () => {
+  const sync = {};
+  const worker = await loadServiceWorker({ sync });
+  await worker.send({ action: 'patchSettings', changes: [{ type: 'setGlobal', field: 'visitedColor', value: '#123456' }] });
+  await wait(200);
+  const updatesBefore = countSettingsUpdates(worker);
+
+  await worker.chrome.storage.sync.set({
+    settings: { ...sync.settings, visitedColor: '#654321' },
+    settingsRevisions: { ...sync.settingsRevisions, visitedColor: Date.now() + 1000 }
+  });
+  await wait(200);
+
+  assert.equal(countSettingsUpdates(worker) - updatesBefore, 1);
+  const { data } = await worker.send({ action: 'getSettings' });
+  assert.equal(data.visitedColor, '#654321');
+});
@@ -0,0 +1,70 @@
+// Shadow roots attached after the page loaded: the worker registers the page-world hook only while
+// marking is on, and the content script styles the roots it announces
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TAB, wait, loadServiceWorker, loadFrame } from '../mocks/extension-mock.mjs';
+
+const CONTENT_SCRIPT = 'content-scripts/content-script.mjs';
+const SHADOW_ROOT_HOOK = 'content-scripts/shadow-root-hook.mjs';
+const SHADOW_ROOT_EVENT = 'visited-links-marker:shadow-root';
+
+const getHookRegistrations = (worker) => worker.chrome.scripting.getRegisteredContentScripts({ ids: ['shadow-root-hook'] });
+
+// The hook runs at document_start, the content script once the host is on the page
+const loadFrameWithHost = async (worker) => {
+  let host;
+  const frame = await loadFrame(worker, {
+    frameId: 0,
+    documentId: 'top-document',
+    url: TAB.url,
+    scripts: [
+      SHADOW_ROOT_HOOK,
+      (document) => {
+        host = document.body.appendChild(document.createElement('issue-card'));
+      },
+      CONTENT_SCRIPT
+    ]
+  });
+  return { ...frame, host };
+};
+
+test('the hook runs in the page world only while marking is on', async () => {
+  const worker = await loadServiceWorker();
+
+  const [registration] = await getHookRegistrations(worker);
+  assert.deepEqual(registration.js, [SHADOW_ROOT_HOOK]);
+  assert.equal(registration.world, 'MAIN');
+  assert.equal(registration.runAt, 'document_start');
+
+  await worker.send({ action: 'patchSettings', changes: [{ type: 'setGlobal', field: 'enabled', value: false }] });
+  assert.deepEqual(await getHookRegistrations(worker), []);
+});
+
+test('shadow roots attached to elements already on the page get the shared stylesheet', async () => {
+  const worker = await loadServiceWorker();
+  const { document, host } = await loadFrameWithHost(worker);
+
+  const root = host.attachShadow({ mode: 'open' });
+  const closedRoot = document.body.appendChild(document.createElement('issue-card'))
+    .attachShadow({ mode: 'closed' });
+  await wait(50);
+
+  assert.equal(root.adoptedStyleSheets.length, 1);
+  assert.match(root.adoptedStyleSheets[0].cssText, /:visited/);
+  assert.equal(closedRoot.adoptedStyleSheets.length, 0);
+});
+
+test('announcements from elements without a shadow root are ignored', async () => {
+  const worker = await loadServiceWorker();
+  const { window, host } = await loadFrameWithHost(worker);
+
+  // A page script sends the event itself, from a host whose shadowRoot is a plain object
+  const forgedRoot = { adoptedStyleSheets: [] };
+  host.shadowRoot = forgedRoot;
+  host.dispatchEvent(new window.CustomEvent(SHADOW_ROOT_EVENT, { bubbles: true, composed: true }));
+  window.dispatchEvent(new window.CustomEvent(SHADOW_ROOT_EVENT, { bubbles: true, composed: true }));
+  await wait(50);
+
+  assert.equal(forgedRoot.adoptedStyleSheets.length, 0);
+});
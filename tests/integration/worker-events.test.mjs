@@ -0,0 +1,57 @@
+// Events that wake a stopped service worker reach it: listeners are in place as soon as the
+// module has run, and their handlers wait for the settings
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TAB, wait, startServiceWorker, loadServiceWorker } from '../mocks/extension-mock.mjs';
+import { MAX_DESTINATION_RULES } from '../../src/utilities/destination-rules.mjs';
+
+test('the pause alarm that woke the worker ends a snooze', async () => {
+  const local = { snoozes: { global: { until: Date.now() - 1000 }, sites: {} } };
+  const worker = await startServiceWorker({ local });
+
+  worker.dispatch('alarms.onAlarm', { name: 'pause-state' });
+  await wait(100);
+
+  assert.equal(local.snoozes.global, null);
+});
+
+test('the shortcut that woke the worker is carried out', async () => {
+  const sync = {};
+  const worker = await startServiceWorker({ sync });
+
+  worker.dispatch('commands.onCommand', 'toggle-global');
+  await wait(100);
+
+  assert.equal(sync.settings.enabled, false);
+});
+
+test('the menu click that woke the worker is carried out', async () => {
+  const worker = await startServiceWorker();
+
+  worker.dispatch('contextMenus.onClicked', { menuItemId: 'disable-site', checked: true }, TAB);
+  await wait(100);
+
+  const { data } = await worker.send({ action: 'getSettings' });
+  assert.equal(data.siteSettings['docs.example.com'].enabled, false);
+});
+
+test('coloring links to a site leaves a full list of destination rules alone', async () => {
+  const worker = await loadServiceWorker();
+  const changes = Array.from({ length: MAX_DESTINATION_RULES }, (_, index) => [
+    { type: 'setDestination', id: `rule-${index}`, field: 'type', value: 'host' },
+    { type: 'setDestination', id: `rule-${index}`, field: 'value', value: `site${index}.example.net` },
+    { type: 'setDestination', id: `rule-${index}`, field: 'visitedColor', value: '#aa0000' },
+    { type: 'setDestination', id: `rule-${index}`, field: 'enabled', value: true },
+    { type: 'setDestination', id: `rule-${index}`, field: 'order', value: index }
+  ]).flat();
+  assert.equal((await worker.send({ action: 'patchSettings', changes })).success, true);
+
+  worker.dispatch('contextMenus.onClicked', { menuItemId: 'color-link-site', linkUrl: 'https://news.example.com/' }, TAB);
+  await wait(100);
+
+  const { data } = await worker.send({ action: 'getSettings' });
+  assert.equal(data.destinationRules.length, MAX_DESTINATION_RULES);
+  assert.ok(data.destinationRules.every((rule) => rule.value !== 'news.example.com'));
+  assert.ok(worker.callsTo('action.setBadgeText').some(({ tabId, text }) => tabId === TAB.id && text === '!'));
+});
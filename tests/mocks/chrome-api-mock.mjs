@@ -0,0 +1,183 @@
+// Chrome API Mock
+// In-memory stand-in for the chrome.* APIs the service worker uses. Calls that reach the
+// browser (injected CSS, badges, menus, ...) are recorded so tests can check where they went.
+
+import { readFile } from 'node:fs/promises';
+
+const EXTENSION_ORIGIN = 'chrome-extension://visited-links-marker/';
+const EXTENSION_ROOT = new URL('../../src/', import.meta.url);
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+export const createEvent = () => {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    },
+    hasListener: (listener) => listeners.includes(listener)
+  };
+};
+
+// Delivers a runtime message the way Chrome does: listeners get the sender Chrome attaches and
+// the first one to call sendResponse answers
+export const sendRuntimeMessage = (event, message, sender = {}) => new Promise((resolve) => {
+  event.listeners.forEach((listener) => listener(clone(message), sender, resolve));
+});
+
+// Storage answers in a later task, as it does in the browser, so a worker's listeners must not wait for it
+const nextTask = () => new Promise((resolve) => setTimeout(resolve));
+
+const createStorageArea = (areaName, items, onChanged) => ({
+  async get(keys) {
+    await nextTask();
+    if (keys === null || keys === undefined) {
+      return clone(items);
+    }
+
+    const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+    const defaults = Array.isArray(keys) || typeof keys === 'string' ? {} : keys;
+    return Object.fromEntries(names
+      .filter((name) => name in items || name in defaults)
+      .map((name) => [name, clone(name in items ? items[name] : defaults[name])]));
+  },
+
+  async set(values) {
+    const changes = {};
+    Object.entries(values).forEach(([key, value]) => {
+      changes[key] = { oldValue: clone(items[key]), newValue: clone(value) };
+      items[key] = clone(value);
+    });
+    onChanged.listeners.forEach((listener) => listener(changes, areaName));
+  },
+
+  async remove(keys) {
+    const changes = {};
+    (Array.isArray(keys) ? keys : [keys]).filter((key) => key in items).forEach((key) => {
+      changes[key] = { oldValue: items[key] };
+      delete items[key];
+    });
+    onChanged.listeners.forEach((listener) => listener(changes, areaName));
+  },
+
+  async getBytesInUse() {
+    return new TextEncoder().encode(JSON.stringify(items)).length;
+  },
+
+  async setAccessLevel() {}
+});
+
+// Installs the mock as the global chrome, and a fetch that serves the extension's own files.
+// tabs are what chrome.tabs.get and query know about; history grants the optional permission.
+export const installChromeMock = ({ sync = {}, local = {}, tabs = [], history = false } = {}) => {
+  const calls = [];
+  const record = (name, result) => async (...args) => {
+    calls.push({ name, args: clone(args) });
+    return result;
+  };
+
+  const storageChanged = createEvent();
+  const registeredScripts = [];
+
+  const chrome = {
+    runtime: {
+      id: 'visited-links-marker',
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      getURL: (path) => `${EXTENSION_ORIGIN}${path}`,
+      getManifest: () => ({ version: '1.0.6' }),
+      sendMessage: record('runtime.sendMessage')
+    },
+    tabs: {
+      onUpdated: createEvent(),
+      onActivated: createEvent(),
+      onRemoved: createEvent(),
+      onReplaced: createEvent(),
+      async get(tabId) {
+        const tab = tabs.find((candidate) => candidate.id === tabId);
+        if (!tab) {
+          throw new Error(`No tab with id: ${tabId}`);
+        }
+        return clone(tab);
+      },
+      async query(queryInfo = {}) {
+        return clone(tabs.filter((tab) => !queryInfo.active || tab.active));
+      },
+      sendMessage: record('tabs.sendMessage'),
+      create: record('tabs.create')
+    },
+    scripting: {
+      insertCSS: record('scripting.insertCSS'),
+      removeCSS: record('scripting.removeCSS'),
+      async registerContentScripts(scripts) {
+        registeredScripts.push(...clone(scripts));
+      },
+      async unregisterContentScripts(filter = {}) {
+        const kept = registeredScripts.filter((script) => filter.ids && !filter.ids.includes(script.id));
+        registeredScripts.splice(0, registeredScripts.length, ...kept);
+      },
+      async getRegisteredContentScripts(filter = {}) {
+        return clone(registeredScripts.filter((script) => !filter.ids || filter.ids.includes(script.id)));
+      },
+      updateContentScripts: record('scripting.updateContentScripts')
+    },
+    storage: {
+      onChanged: storageChanged,
+      sync: createStorageArea('sync', sync, storageChanged),
+      local: createStorageArea('local', local, storageChanged),
+      session: createStorageArea('session', {}, storageChanged)
+    },
+    action: {
+      setBadgeText: record('action.setBadgeText'),
+      setBadgeBackgroundColor: record('action.setBadgeBackgroundColor'),
+      setTitle: record('action.setTitle')
+    },
+    commands: {
+      onCommand: createEvent()
+    },
+    contextMenus: {
+      onClicked: createEvent(),
+      create: (properties, callback) => {
+        calls.push({ name: 'contextMenus.create', args: [clone(properties)] });
+        callback?.();
+      },
+      update: record('contextMenus.update'),
+      removeAll: record('contextMenus.removeAll')
+    },
+    alarms: {
+      onAlarm: createEvent(),
+      create: record('alarms.create'),
+      clear: record('alarms.clear', true)
+    },
+    permissions: {
+      onAdded: createEvent(),
+      onRemoved: createEvent(),
+      contains: async () => history,
+      request: async () => history
+    },
+    history: {
+      getVisits: async () => [],
+      addUrl: record('history.addUrl'),
+      deleteUrl: record('history.deleteUrl')
+    }
+  };
+
+  globalThis.chrome = chrome;
+  globalThis.fetch = async (url) => {
+    const text = await readFile(new URL(String(url).slice(EXTENSION_ORIGIN.length), EXTENSION_ROOT), 'utf8');
+    return { ok: true, json: async () => JSON.parse(text) };
+  };
+
+  return {
+    chrome,
+    calls,
+    // Arguments of every recorded call to one API, e.g. callsTo('scripting.insertCSS')
+    callsTo: (name) => calls.filter((call) => call.name === name).map((call) => call.args[0])
+  };
+};
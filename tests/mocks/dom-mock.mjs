@@ -0,0 +1,289 @@
+// DOM Mock
+// Just enough of a document for the content scripts: elements, open and closed shadow roots,
+// event propagation across shadow boundaries, tree walkers and childList mutation observers.
+// createDOM returns a window object to use as a vm context, so each frame gets its own globals.
+
+export const createDOM = ({ url }) => {
+  const listeners = new WeakMap();
+  const observers = new Set();
+
+  const getListeners = (target) => {
+    if (!listeners.has(target)) {
+      listeners.set(target, []);
+    }
+    return listeners.get(target);
+  };
+
+  const eventTargetMethods = {
+    addEventListener(type, listener, options = false) {
+      const capture = typeof options === 'boolean' ? options : Boolean(options.capture);
+      const once = typeof options === 'object' && Boolean(options.once);
+      getListeners(this).push({ type, listener, capture, once });
+    },
+
+    removeEventListener(type, listener, options = false) {
+      const capture = typeof options === 'boolean' ? options : Boolean(options.capture);
+      const entries = getListeners(this);
+      const index = entries.findIndex((entry) => entry.type === type && entry.listener === listener && entry.capture === capture);
+      if (index !== -1) {
+        entries.splice(index, 1);
+      }
+    },
+
+    // Capture from the window down, then bubble back up; composed events leave shadow roots
+    dispatchEvent(event) {
+      const path = [];
+      for (let node = this; node; node = getParent(node, event)) {
+        path.push(node);
+      }
+      event.target = this;
+      event.composedPath = () => [...path];
+
+      const invoke = (target, capture) => {
+        getListeners(target)
+          .filter((entry) => entry.type === event.type && (target === this || entry.capture === capture))
+          .forEach((entry) => {
+            if (entry.once) {
+              target.removeEventListener(entry.type, entry.listener, entry.capture);
+            }
+            entry.listener.call(target, event);
+          });
+      };
+
+      [...path].reverse().slice(0, -1).forEach((target) => invoke(target, true));
+      invoke(this, false);
+      if (event.bubbles) {
+        path.slice(1).forEach((target) => invoke(target, false));
+      }
+      return true;
+    }
+  };
+
+  const getParent = (node, event) => {
+    if (node instanceof ShadowRoot) {
+      return event.composed ? node.host : null;
+    }
+    if (node instanceof Document) {
+      return window;
+    }
+    return node.parentNode || null;
+  };
+
+  class Node {
+    static ELEMENT_NODE = 1;
+    static DOCUMENT_NODE = 9;
+    static DOCUMENT_FRAGMENT_NODE = 11;
+
+    constructor(nodeType) {
+      this.nodeType = nodeType;
+      this.parentNode = null;
+      this.childNodes = [];
+    }
+
+    get children() {
+      return this.childNodes.filter((node) => node instanceof Element);
+    }
+
+    appendChild(child) {
+      child.parentNode = this;
+      this.childNodes.push(child);
+      queueMutation(this, child);
+      return child;
+    }
+
+    // Only the selectors the content scripts use
+    querySelectorAll(selector) {
+      const matches = {
+        a: (element) => element.tagName === 'A',
+        'a[href]': (element) => element.tagName === 'A' && element.hasAttribute('href')
+      }[selector];
+      if (!matches) {
+        throw new Error(`Unsupported selector: ${selector}`);
+      }
+      return getDescendants(this).filter(matches);
+    }
+
+    querySelector(selector) {
+      return this.querySelectorAll(selector)[0] || null;
+    }
+  }
+  Object.assign(Node.prototype, eventTargetMethods);
+
+  class Element extends Node {
+    constructor(tagName) {
+      super(Node.ELEMENT_NODE);
+      this.tagName = tagName.toUpperCase();
+      this.attributes = new Map();
+      this.shadowRoot = null;
+    }
+
+    get parentElement() {
+      return this.parentNode instanceof Element ? this.parentNode : null;
+    }
+
+    getAttribute(name) {
+      return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+      this.attributes.set(name, String(value));
+    }
+
+    hasAttribute(name) {
+      return this.attributes.has(name);
+    }
+
+    get href() {
+      return new URL(this.getAttribute('href') ?? '', url).href;
+    }
+
+    get protocol() {
+      return new URL(this.getAttribute('href') ?? '', url).protocol;
+    }
+
+    getClientRects() {
+      return [];
+    }
+
+    // Closed roots are returned to the caller but never exposed on the host
+    attachShadow(init) {
+      const root = new ShadowRoot(this);
+      if (init.mode === 'open') {
+        this.shadowRoot = root;
+      }
+      return root;
+    }
+  }
+
+  class ShadowRoot extends Node {
+    constructor(host) {
+      super(Node.DOCUMENT_FRAGMENT_NODE);
+      this.host = host;
+      this.adoptedStyleSheets = [];
+    }
+  }
+
+  class Document extends Node {
+    constructor() {
+      super(Node.DOCUMENT_NODE);
+      this.readyState = 'complete';
+      this.visibilityState = 'visible';
+      this.URL = url;
+      this.documentElement = this.appendChild(new Element('html'));
+      this.body = this.documentElement.appendChild(new Element('body'));
+    }
+
+    createElement(tagName) {
+      return new Element(tagName);
+    }
+
+    createTreeWalker(root) {
+      const elements = [root, ...getDescendants(root)];
+      let index = 0;
+      return {
+        currentNode: root,
+        nextNode() {
+          index += 1;
+          this.currentNode = elements[index] || null;
+          return this.currentNode;
+        }
+      };
+    }
+  }
+
+  // Light DOM descendants in document order; shadow trees are separate
+  const getDescendants = (node) => node.children.flatMap((child) => [child, ...getDescendants(child)]);
+
+  const isInclusiveAncestor = (ancestor, node) => {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === ancestor) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  class MutationObserver {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = [];
+      this.records = [];
+    }
+
+    observe(target, options) {
+      this.targets.push({ target, options });
+      observers.add(this);
+    }
+
+    disconnect() {
+      this.targets = [];
+      this.records = [];
+      observers.delete(this);
+    }
+  }
+
+  // Records are delivered together in a microtask, like the real thing
+  const queueMutation = (parent, child) => {
+    observers.forEach((observer) => {
+      const observed = observer.targets.some(({ target, options }) => options.childList
+        && (target === parent || (options.subtree && isInclusiveAncestor(target, parent))));
+      if (!observed) {
+        return;
+      }
+
+      if (observer.records.length === 0) {
+        queueMicrotask(() => {
+          const records = observer.records;
+          observer.records = [];
+          if (records.length > 0) {
+            observer.callback(records, observer);
+          }
+        });
+      }
+      observer.records.push({ type: 'childList', target: parent, addedNodes: [child], removedNodes: [] });
+    });
+  };
+
+  class CustomEvent {
+    constructor(type, { bubbles = false, composed = false, detail = null } = {}) {
+      this.type = type;
+      this.bubbles = bubbles;
+      this.composed = composed;
+      this.detail = detail;
+    }
+  }
+
+  class CSSStyleSheet {
+    constructor() {
+      this.cssText = '';
+    }
+
+    replaceSync(text) {
+      this.cssText = text;
+    }
+  }
+
+  const window = {
+    Node,
+    Element,
+    ShadowRoot,
+    NodeFilter: { SHOW_ELEMENT: 1 },
+    MutationObserver,
+    CustomEvent,
+    CSSStyleSheet,
+    setTimeout,
+    clearTimeout,
+    queueMicrotask,
+    // A transparent page in a light browser theme
+    getComputedStyle: () => ({ backgroundColor: 'rgba(0, 0, 0, 0)', colorScheme: '' }),
+    matchMedia: () => ({ matches: false })
+  };
+  window.window = window;
+  // Bound, because inside the vm context `window` is the context's global proxy rather than this object
+  Object.entries(eventTargetMethods).forEach(([name, method]) => {
+    window[name] = method.bind(window);
+  });
+  window.document = new Document();
+
+  return { window, document: window.document };
+};
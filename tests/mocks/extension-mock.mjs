@@ -0,0 +1,72 @@
+// Extension Mock
+// Loads the real service worker against the chrome mock and runs content scripts in mock frames
+// of one tab, so messages travel between them the way they do in the browser.
+
+import { readFile } from 'node:fs/promises';
+import vm from 'node:vm';
+import { installChromeMock, createEvent, sendRuntimeMessage } from './chrome-api-mock.mjs';
+import { createDOM } from './dom-mock.mjs';
+
+const SOURCE_ROOT = new URL('../../src/', import.meta.url);
+
+export const TAB = { id: 1, url: 'https://docs.example.com/issues/5', incognito: false, active: true, windowId: 1 };
+
+export const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let serviceWorkerLoads = 0;
+
+// A fresh service worker module per call, started against its own chrome mock. It returns as soon as
+// the module has run, like a worker that was woken by an event and has not loaded its settings yet.
+export const startServiceWorker = async (options = {}) => {
+  const mock = installChromeMock({ tabs: [TAB], ...options });
+  await import(new URL(`service-worker.mjs?load=${++serviceWorkerLoads}`, SOURCE_ROOT));
+  return {
+    ...mock,
+    send: (message, sender = {}) => sendRuntimeMessage(mock.chrome.runtime.onMessage, message, sender),
+    // Calls every listener of an event, e.g. dispatch('alarms.onAlarm', { name })
+    dispatch: (event, ...args) => {
+      const [namespace, name] = event.split('.');
+      mock.chrome[namespace][name].listeners.forEach((listener) => listener(...args));
+    }
+  };
+};
+
+// A started worker that has finished starting up
+export const loadServiceWorker = async (options = {}) => {
+  const worker = await startServiceWorker(options);
+  await wait(50);
+  return worker;
+};
+
+// Runs content scripts in one frame of TAB; their messages reach the worker with the sender Chrome attaches.
+// Functions among the scripts change the page between them.
+export const loadFrame = async (worker, { frameId, documentId, url, origin = new URL(url).origin, scripts }) => {
+  const { window, document } = createDOM({ url });
+  const sender = { tab: TAB, frameId, documentId, url, origin };
+  const messages = [];
+  window.chrome = {
+    runtime: {
+      onMessage: createEvent(),
+      sendMessage: async (message) => {
+        messages.push(message);
+        return worker.send(message, sender);
+      }
+    }
+  };
+
+  const context = vm.createContext(window);
+  for (const script of scripts) {
+    if (typeof script === 'function') {
+      script(document);
+    } else {
+      vm.runInContext(await readFile(new URL(script, SOURCE_ROOT), 'utf8'), context, { filename: script });
+    }
+  }
+  await wait(50);
+  return { window, document, messages };
+};
+
+// Stylesheets the worker inserted into one document
+export const getInsertedCSS = (worker, documentId) => worker.callsTo('scripting.insertCSS')
+  .filter(({ target }) => target.documentIds?.includes(documentId))
+  .map(({ css }) => css);
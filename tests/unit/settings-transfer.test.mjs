@@ -0,0 +1,60 @@
+// Settings import: every field is checked with the validator the service worker uses, and whatever
+// can't be imported is described
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSettingsImport, applySettingsImport } from '../../src/utilities/settings-transfer.mjs';
+import { MAX_CONTRAST_RATIO } from '../../src/utilities/validators.mjs';
+import { MAX_RECENCY_FADE } from '../../src/utilities/recency.mjs';
+import { MAX_DESTINATION_RULES } from '../../src/utilities/destination-rules.mjs';
+
+const parse = (settings) => parseSettingsImport(JSON.stringify(settings));
+
+const createRule = (index) => ({
+  id: `rule-${index}`,
+  type: 'host',
+  value: `site${index}.example.net`,
+  visitedColor: '#aa0000',
+  enabled: true,
+  order: index
+});
+
+test('keeps valid fields and describes invalid ones', () => {
+  const { settings, errors } = parse({
+    visitedColor: '#123456',
+    enabled: 'yes',
+    contrastRatio: MAX_CONTRAST_RATIO + 1,
+    recencyFades: [0, 20, 40, MAX_RECENCY_FADE + 10]
+  });
+
+  assert.deepEqual(settings, { visitedColor: '#123456' });
+  assert.deepEqual(errors, [
+    `Global "contrastRatio" must be a number from 1 to ${MAX_CONTRAST_RATIO}`,
+    'Global "enabled" must be true or false',
+    `Global "recencyFades" must list 4 whole percentages from 0 to ${MAX_RECENCY_FADE}`
+  ]);
+});
+
+test('skips site rules left without valid fields', () => {
+  const { settings, errors } = parse({
+    siteSettings: {
+      'docs.example.com': { visitedColor: '#00aa00' },
+      'news.example.com': { visitedColor: 'green' }
+    }
+  });
+
+  assert.deepEqual(settings.siteSettings, { 'docs.example.com': { visitedColor: '#00aa00' } });
+  assert.deepEqual(errors, ['Rule for news.example.com: invalid value for "visitedColor"']);
+});
+
+test('merging reports destination rules there is no room for', () => {
+  const current = { destinationRules: Array.from({ length: MAX_DESTINATION_RULES - 1 }, (_, index) => createRule(index)) };
+  const imported = { destinationRules: [createRule(100), createRule(101), createRule(102)] };
+
+  const { settings, errors } = applySettingsImport(current, imported, 'merge', {});
+
+  assert.equal(settings.destinationRules.length, MAX_DESTINATION_RULES);
+  assert.deepEqual(errors, [
+    `2 imported destination rules were left out: there is room for ${MAX_DESTINATION_RULES}`
+  ]);
+});